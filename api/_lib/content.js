@@ -0,0 +1,175 @@
+// File content
+//
+// File bytes are kept out of the storage document. Each file's content is split
+// into numbered chunks of at most UPLOAD_CHUNK_SIZE bytes (default 1MB), and
+// every chunk is its own adapter document `{ data: <base64> }` under
+//   <storageId>:content:<contentId>:<index>
+// The file record in the tree keeps contentId, chunkCount and the SHA-256 of
+// the whole content. Files written before this still carry their base64 bytes
+// inline in `content` and are read from there.
+//
+// Content is deduplicated by hash: the document keeps an index of stored blobs
+//   blobs: { <sha256>: { contentId, chunkCount, size, refs } }
+// and a new file whose hash is already in it points at the existing contentId
+// instead of storing the bytes again. Copies share their contentId the same
+// way. `refs` counts the live and trashed files using a blob; a blob's chunks
+// are only deleted once no file or version refers to its contentId anymore. Blobs are per
+// storage, so knowing a hash never gives access to another storage's content.
+//
+// Image content may also have a thumbnail (see thumbnails.js) under
+//   <storageId>:thumbnail:<contentId>
+// which lives and goes with the content's chunks.
+
+export const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 1024 * 1024;
+
+// Adapter key of one content chunk
+export function chunkKey(storageId, contentId, index) {
+  return `${storageId}:content:${contentId}:${index}`;
+}
+
+// Adapter key of the thumbnail of some content
+export function thumbnailKey(storageId, contentId) {
+  return `${storageId}:thumbnail:${contentId}`;
+}
+
+// Store one chunk; resolves to true on success
+export function writeChunk(storage, storageId, contentId, index, buffer) {
+  return storage.put(chunkKey(storageId, contentId, index), { data: buffer.toString('base64') });
+}
+
+// Read one chunk as a Buffer, or null when it is missing
+export async function readChunk(storage, storageId, contentId, index) {
+  const chunk = await storage.get(chunkKey(storageId, contentId, index));
+  return chunk && typeof chunk.data === 'string' ? Buffer.from(chunk.data, 'base64') : null;
+}
+
+// Number of chunks a file's content is read in (legacy inline content is one)
+export function getChunkCount(file) {
+  return typeof file.content === 'string' ? 1 : (file.chunkCount || 0);
+}
+
+// Read one chunk of a file, handling inline legacy content; null when missing
+export async function readFileChunk(storage, storageId, file, index) {
+  if (typeof file.content === 'string') {
+    return index === 0 ? Buffer.from(file.content, 'base64') : null;
+  }
+  if (!file.contentId || index < 0 || index >= getChunkCount(file)) {
+    return null;
+  }
+  return readChunk(storage, storageId, file.contentId, index);
+}
+
+// Read a file's whole content; null when any chunk is missing
+export async function readFileContent(storage, storageId, file) {
+  const chunks = [];
+  for (let index = 0; index < getChunkCount(file); index++) {
+    const chunk = await readFileChunk(storage, storageId, file, index);
+    if (!chunk) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Read bytes start..end (inclusive) of a file, touching only the chunks that
+// hold them. Every chunk but the last has the size of the first, which is read
+// to find out where the range begins. Null when a chunk is missing.
+export async function readFileRange(storage, storageId, file, start, end) {
+  const first = await readFileChunk(storage, storageId, file, 0);
+  if (!first || first.length === 0) {
+    return null;
+  }
+
+  const parts = [];
+  for (let index = Math.floor(start / first.length); index < getChunkCount(file) && index * first.length <= end; index++) {
+    const chunk = index === 0 ? first : await readFileChunk(storage, storageId, file, index);
+    if (!chunk) {
+      return null;
+    }
+    const offset = index * first.length;
+    parts.push(chunk.subarray(Math.max(0, start - offset), end - offset + 1));
+  }
+  return Buffer.concat(parts);
+}
+
+// Delete every chunk of a content ID and its thumbnail; resolves to true when all were removed
+export async function deleteContent(storage, storageId, contentId, chunkCount) {
+  let allDeleted = true;
+  for (let index = 0; index < chunkCount; index++) {
+    if (!(await storage.delete(chunkKey(storageId, contentId, index)))) {
+      allDeleted = false;
+    }
+  }
+  if (!(await storage.delete(thumbnailKey(storageId, contentId)))) {
+    allDeleted = false;
+  }
+  return allDeleted;
+}
+
+// Every file record in the live tree and the trash
+export function listAllFiles(tree) {
+  return [...tree.files, ...(tree.trash || []).flatMap(entry => entry.files)];
+}
+
+// Every stored piece of content: all files plus their earlier versions (see versions.js)
+export function listAllContent(tree) {
+  return listAllFiles(tree).flatMap(file => [file, ...(file.versions || [])]);
+}
+
+// Content IDs referenced by the live tree and the trash, with their chunk counts
+export function collectContentRefs(tree) {
+  const refs = new Map();
+  listAllContent(tree).forEach(file => {
+    if (file.contentId) {
+      refs.set(file.contentId, file.chunkCount || 0);
+    }
+  });
+  return refs;
+}
+
+// Delete content that was referenced before a change and no longer is.
+// Runs after the document is saved, so a failure only leaves unused chunks behind.
+export async function deleteOrphanedContent(storage, storageId, refsBefore, tree) {
+  const refsAfter = collectContentRefs(tree);
+  for (const [contentId, chunkCount] of refsBefore) {
+    if (!refsAfter.has(contentId)) {
+      const deleted = await deleteContent(storage, storageId, contentId, chunkCount);
+      if (!deleted) {
+        console.error(`Failed to delete content ${contentId} of ${storageId}`);
+      }
+    }
+  }
+}
+
+// Rebuild the blob index from the files that use each blob. Counting from the
+// tree on every save keeps the counts right even when a request fails halfway.
+export function buildBlobIndex(tree) {
+  const blobs = {};
+  listAllContent(tree).forEach(file => {
+    if (!file.contentId || !file.sha256) {
+      return;
+    }
+
+    const blob = blobs[file.sha256];
+    if (!blob) {
+      blobs[file.sha256] = { contentId: file.contentId, chunkCount: file.chunkCount || 0, size: file.size || 0, refs: 1 };
+    } else if (blob.contentId === file.contentId) {
+      blob.refs += 1;
+    }
+    // Identical files stored separately before deduplication keep their own copy
+  });
+  return blobs;
+}
+
+// The stored blob with this hash and size, or null when the content is new
+export function findBlob(doc, sha256, size) {
+  const blob = typeof sha256 === 'string' && doc.blobs ? doc.blobs[sha256.toLowerCase()] : null;
+  return blob && blob.size === size ? blob : null;
+}
+
+// Build a Content-Disposition header that survives non-ASCII file names
+export function contentDisposition(fileName, type = 'attachment') {
+  const fallback = String(fileName).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
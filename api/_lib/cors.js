@@ -0,0 +1,49 @@
+// CORS
+//
+// Credentialed cross-origin requests are only answered for origins listed in
+// ALLOWED_ORIGINS (comma-separated, e.g. "https://app.example.com"). Requests
+// from the app's own origin and requests without an Origin header always pass.
+
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// Whether the request's Origin may talk to this API
+export function isOriginAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+
+  if (ALLOWED_ORIGINS.includes(origin)) {
+    return true;
+  }
+
+  // Same-origin requests also carry an Origin header on POST
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  try {
+    return Boolean(host) && new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Set CORS headers; returns false when the origin is not allowed
+export function applyCors(req, res, methods) {
+  res.setHeader('Vary', 'Origin');
+
+  if (!isOriginAllowed(req)) {
+    return false;
+  }
+
+  if (req.headers.origin) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  // If-Match and ETag carry the tree version of updateStorage (see jsonbin.js)
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-CSRF-Token, If-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  return true;
+}
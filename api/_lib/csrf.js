@@ -0,0 +1,45 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { HttpError } from './errors.js';
+
+// CSRF protection
+//
+// Double-submit cookie: the browser keeps the token in a readable `csrf_token`
+// cookie and echoes it in the X-CSRF-Token header. A page on another origin can
+// neither read the cookie nor set it, so it cannot produce a matching header.
+//
+// Before login the token is whatever random value the client generated. Once a
+// session exists the token is derived from the session ID, so it is bound to
+// that session and rotates on every login.
+
+export const CSRF_COOKIE = 'csrf_token';
+
+const CSRF_SECRET = process.env.CSRF_SECRET || process.env.JWT_SECRET || 'fallback-secret-for-development';
+
+// The token that belongs to a session
+export function sessionCsrfToken(sessionId) {
+  return createHmac('sha256', CSRF_SECRET).update(`csrf:${sessionId}`).digest('base64url');
+}
+
+// Set-Cookie value carrying a CSRF token (readable by scripts on purpose)
+export function csrfCookie(token, maxAgeSeconds) {
+  return `${CSRF_COOKIE}=${token}; Path=/; SameSite=Strict; Max-Age=${maxAgeSeconds}${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`;
+}
+
+// Check the X-CSRF-Token header against the cookie and, when given, the session's token; fails with 403
+export function verifyCsrf(req, sessionId = null) {
+  const header = req.headers['x-csrf-token'];
+  const cookie = req.cookies && req.cookies[CSRF_COOKIE];
+
+  if (!header || !cookie || !safeEqual(header, cookie)) {
+    throw new HttpError(403, 'Invalid CSRF token');
+  }
+  if (sessionId && !safeEqual(header, sessionCsrfToken(sessionId))) {
+    throw new HttpError(403, 'Invalid CSRF token');
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
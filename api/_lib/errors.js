@@ -0,0 +1,10 @@
+// Error carrying the HTTP status a handler should answer with.
+// Optional details are merged into the JSON error body.
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,59 @@
+// KV store
+//
+// A Redis-compatible REST endpoint (Upstash, Vercel KV) for what serverless
+// instances have to share with atomic updates: rate limit counters (see
+// ratelimit.js) and the key directory of the JSONBin storage adapter (see
+// storage.js). The endpoint comes from KV_REST_API_URL and KV_REST_API_TOKEN.
+
+// Set KEYS[1] to ARGV[2] only while it holds ARGV[1]. An empty string stands for
+// a missing key on either side, so the same script claims, replaces and deletes.
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == '' then
+  redis.call('DEL', KEYS[1])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Whether a KV endpoint is configured for this environment
+export function isKVConfigured() {
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+// Client for a KV endpoint. command(['SET', key, value, 'NX']) resolves to the
+// command's result and throws when the endpoint fails.
+export function createKVClient(options = {}) {
+  const url = options.url || process.env.KV_REST_API_URL;
+  const token = options.token || process.env.KV_REST_API_TOKEN;
+
+  const command = async (args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV error: ${response.status}`);
+    }
+    return (await response.json()).result;
+  };
+
+  return {
+    command,
+
+    // Change a key from one value to another in a single step ('' = missing);
+    // resolves to false when it held something else
+    async compareAndSet(key, expected, next) {
+      return (await command(['EVAL', COMPARE_AND_SET, '1', key, expected || '', next || ''])) === 1;
+    }
+  };
+}
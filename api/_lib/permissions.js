@@ -0,0 +1,182 @@
+import { HttpError } from './errors.js';
+import { loadStorageDocument, commitStorageDocument } from './schema.js';
+import { findFolder, requireFolder, isWithinFolder, generateId } from './tree.js';
+
+// Shared folders
+//
+// A storage can grant another storage ID access to one of its folders. The
+// owner's document keeps the grants in doc.grants:
+//   { id, folderId, storageId, role, createdAt, createdBy }
+// and the grantee's document lists what was shared with it in doc.sharedWithMe:
+//   { grantId, ownerId, folderId }
+// The grants are what counts; sharedWithMe is only an index for the sidebar
+// and entries whose grant is gone are skipped when it is listed.
+//
+// A grant covers its folder and everything below it. Roles build on each other:
+// viewers can browse and download, editors can also add, change and delete,
+// and owners can also manage who has access. When several grants cover a
+// folder, the highest role wins. The storage's own account always has full access.
+
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+// Minimum role each jsonbin action needs on the folder it works in. Actions
+// missing here (trash, share links, whole-tree updates, ...) concern the whole
+// storage and stay with its own account.
+export const ACTION_ROLES = {
+  getStorage: 'viewer',
+  getFile: 'viewer',
+  getThumbnail: 'viewer',
+  listVersions: 'viewer',
+  search: 'viewer',
+  getDeleteSummary: 'editor',
+  addFile: 'editor',
+  uploadInit: 'editor',
+  uploadChunk: 'editor',
+  uploadStatus: 'editor',
+  uploadFinalize: 'editor',
+  cancelUpload: 'editor',
+  addFolder: 'editor',
+  renameItem: 'editor',
+  moveItem: 'editor',
+  copyItem: 'editor',
+  deleteItem: 'editor',
+  restoreVersion: 'editor',
+  deleteVersion: 'editor',
+  listGrants: 'owner',
+  grantAccess: 'owner',
+  revokeAccess: 'owner'
+};
+
+// Whether a role includes another one
+export function roleAtLeast(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Fail with 403 for actions only the storage's own account may use
+export function requireActionRole(action) {
+  if (!ACTION_ROLES[action]) {
+    throw new HttpError(403, 'Only the owner of this storage can do that');
+  }
+}
+
+// The highest role a storage ID has on a folder through the grants covering it, or null
+export function resolveRole(doc, storageId, folderId) {
+  return (doc.grants || [])
+    .filter(grant => grant.storageId === storageId && isWithinFolder(doc.tree, folderId, grant.folderId))
+    .reduce((best, grant) => (best && roleAtLeast(best, grant.role) ? best : grant.role), null);
+}
+
+// The topmost folder at or above folderId that one of a storage ID's grants covers,
+// i.e. the highest folder whose name the grantee may see
+export function grantRootFolderId(doc, storageId, folderId) {
+  const roots = (doc.grants || [])
+    .filter(grant => grant.storageId === storageId && isWithinFolder(doc.tree, folderId, grant.folderId))
+    .map(grant => grant.folderId);
+  return roots.find(root => roots.every(other => isWithinFolder(doc.tree, other, root))) || folderId;
+}
+
+// Check a storage ID's role on a folder; fails with 403, also for folders that do not exist
+export function requireRole(doc, storageId, folderId, required) {
+  const role = folderId ? resolveRole(doc, storageId, folderId) : null;
+  if (!role) {
+    throw new HttpError(403, 'This folder is not shared with you');
+  }
+  if (!roleAtLeast(role, required)) {
+    throw new HttpError(403, `This needs ${required} access to the folder`);
+  }
+  return role;
+}
+
+// The folder whose contents change when an item is renamed, moved or deleted:
+// a file's folder, or a folder's parent. Null when the item does not exist,
+// so grantees get the same 403 as for items outside their folders.
+export function containingFolderId(tree, itemType, itemId) {
+  if (itemType === 'file') {
+    const file = tree.files.find(f => f.id === itemId);
+    return file ? file.folderId || 'root' : null;
+  }
+  const folder = itemId !== 'root' ? findFolder(tree, itemId) : null;
+  return folder ? folder.parentId || 'root' : null;
+}
+
+// Give a storage ID a role on a folder, replacing an earlier grant for the same folder
+export function grantAccess(doc, { folderId, storageId, role, author }) {
+  requireFolder(doc.tree, folderId);
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const existing = (doc.grants || []).find(g => g.folderId === folderId && g.storageId === storageId);
+  if (existing) {
+    existing.role = role;
+    return existing;
+  }
+
+  const grant = { id: generateId(), folderId, storageId, role, createdAt: new Date().toISOString(), createdBy: author };
+  doc.grants = [...(doc.grants || []), grant];
+  return grant;
+}
+
+// Remove a grant; returns it, or fails with 404
+export function revokeAccess(doc, grantId) {
+  const grant = (doc.grants || []).find(g => g.id === grantId);
+  if (!grant) {
+    throw new HttpError(404, 'Access grant not found');
+  }
+  doc.grants = doc.grants.filter(g => g.id !== grantId);
+  return grant;
+}
+
+// Remove every grant a storage ID has in this document; false when it had none
+export function removeGrantsFor(doc, storageId) {
+  const before = (doc.grants || []).length;
+  doc.grants = (doc.grants || []).filter(grant => grant.storageId !== storageId);
+  return doc.grants.length !== before;
+}
+
+// Record in the grantee's document that a folder was shared with it
+export function addSharedWithMe(doc, { grantId, ownerId, folderId }) {
+  if ((doc.sharedWithMe || []).some(entry => entry.grantId === grantId)) {
+    return false;
+  }
+  doc.sharedWithMe = [...(doc.sharedWithMe || []), { grantId, ownerId, folderId }];
+  return true;
+}
+
+// Drop a grant from the grantee's index; false when it was not listed
+export function removeSharedWithMe(doc, grantId) {
+  const before = (doc.sharedWithMe || []).length;
+  doc.sharedWithMe = (doc.sharedWithMe || []).filter(entry => entry.grantId !== grantId);
+  return doc.sharedWithMe.length !== before;
+}
+
+// Grants on a folder, as the access dialog shows them
+export function listFolderGrants(doc, folderId) {
+  return (doc.grants || []).filter(grant => grant.folderId === folderId);
+}
+
+// The part of a tree a grantee sees when opening a shared folder: the folder and everything below it
+export function toSharedTree(tree, folderId) {
+  const isInside = (id) => isWithinFolder(tree, id, folderId);
+  return {
+    folders: tree.folders.filter(folder => isInside(folder.id)),
+    files: tree.files.filter(file => isInside(file.folderId))
+  };
+}
+
+// Apply a grant change to the other side's document (the grantee's index, or the
+// owner's grants when an account goes away). Resolves to true when the change is
+// in place; failures are logged, as the owner's grants are what counts.
+export async function updateLinkedStorage(storage, storageId, mutate) {
+  try {
+    const doc = await loadStorageDocument(storage, storageId);
+    if (!doc) {
+      return false;
+    }
+    const { saved, result } = await commitStorageDocument(storage, storageId, doc, mutate);
+    return saved || result === false;
+  } catch (error) {
+    console.error(`Failed to update shared folder records of ${storageId}:`, error);
+    return false;
+  }
+}
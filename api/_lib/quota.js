@@ -0,0 +1,56 @@
+import { HttpError } from './errors.js';
+import { listAllFiles, listAllContent } from './content.js';
+
+// Storage quota
+//
+// Every storage may hold at most STORAGE_QUOTA_BYTES of file content (default
+// 100MB) in at most STORAGE_QUOTA_FILES files (default 10000). Items in the
+// trash still take up space, so they count until they are purged.
+//
+// Usage is reported two ways: logicalBytes adds up the size of every file,
+// physicalBytes counts shared content once (see content.js). The byte quota
+// applies to physicalBytes, so copies and duplicate uploads are free.
+
+export const STORAGE_QUOTA_BYTES = parseInt(process.env.STORAGE_QUOTA_BYTES, 10) || 100 * 1024 * 1024;
+export const STORAGE_QUOTA_FILES = parseInt(process.env.STORAGE_QUOTA_FILES, 10) || 10000;
+
+// Logical and physical bytes and the file count currently used, trash and
+// earlier versions included
+export function getUsage(tree) {
+  const contents = listAllContent(tree);
+  const stored = new Map();
+  let inlineBytes = 0;
+
+  contents.forEach(file => {
+    if (file.contentId) {
+      stored.set(file.contentId, file.size || 0);
+    } else {
+      // Legacy files carry their own inline copy
+      inlineBytes += file.size || 0;
+    }
+  });
+
+  return {
+    logicalBytes: contents.reduce((total, file) => total + (file.size || 0), 0),
+    physicalBytes: inlineBytes + [...stored.values()].reduce((total, size) => total + size, 0),
+    files: listAllFiles(tree).length
+  };
+}
+
+// The quota as reported to the client
+export function getQuota() {
+  return { bytes: STORAGE_QUOTA_BYTES, files: STORAGE_QUOTA_FILES };
+}
+
+// Fail with 507 when storing `bytes` of new content in `files` more files would go over quota
+export function assertWithinQuota(tree, { bytes = 0, files = 0 }) {
+  const usage = getUsage(tree);
+  const quota = getQuota();
+
+  if (usage.physicalBytes + bytes > quota.bytes) {
+    throw new HttpError(507, 'Storage quota exceeded. Delete some files or empty the trash to free up space.', { usage, quota });
+  }
+  if (usage.files + files > quota.files) {
+    throw new HttpError(507, `Storage file limit reached (max ${quota.files} files). Delete some files or empty the trash.`, { usage, quota });
+  }
+}
@@ -0,0 +1,293 @@
+import path from 'path';
+import { createLocalAdapter } from './storage.js';
+import { createKVClient } from './kv.js';
+import { HttpError } from './errors.js';
+
+// Rate limiting
+//
+// Counters are kept in a pluggable store so limits survive cold starts and are
+// shared between serverless instances. Every store exposes:
+//   get(key)                -> record, or null when missing or expired
+//   set(key, record, ttl)   -> true on success; the record expires after ttl seconds
+//   delete(key)             -> true on success
+//
+// The store is chosen with RATE_LIMIT_STORE: "memory" (per instance, for tests
+// and development), "file" (JSON files under RATE_LIMIT_DIR) or "kv" (an
+// Upstash / Vercel KV REST endpoint from KV_REST_API_URL and KV_REST_API_TOKEN).
+// Without a setting, "kv" is used when KV_REST_API_URL is present. In production
+// (NODE_ENV=production or a Vercel deployment) a shared store is required, and
+// until there is one every API call fails with 503 and logs what to configure:
+// the memory store counts per instance and forgets everything on a cold start,
+// and on Vercel the file store cannot write (the file system is read-only and
+// not shared between instances), so only "kv" works there. A self-hosted server
+// running the API in a single process may use "file". Elsewhere "memory" is the
+// default.
+
+// Policies by name. Failure policies only count failed attempts and lock the
+// key for lockSeconds once `limit` failures pile up inside the window; every
+// further lockout doubles, up to maxLockSeconds.
+export const RATE_LIMIT_POLICIES = {
+  // Failed logins against one storage ID, from anywhere
+  loginStorage: { limit: 5, windowSeconds: 15 * 60, lockSeconds: 60, maxLockSeconds: 60 * 60 },
+  // Failed logins from one IP, across all storage IDs
+  loginIP: { limit: 20, windowSeconds: 15 * 60, lockSeconds: 60, maxLockSeconds: 60 * 60 },
+  // Wrong passwords for one share link
+  sharePassword: { limit: 10, windowSeconds: 15 * 60, lockSeconds: 60, maxLockSeconds: 60 * 60 },
+  // Any API call from one IP, other than transfers
+  api: { limit: parseInt(process.env.RATE_LIMIT_API_PER_MINUTE, 10) || 300, windowSeconds: 60 },
+  // Upload chunks, downloads and thumbnails from one IP; a folder of images or a
+  // batch upload sends many of these in a short time
+  transfer: { limit: parseInt(process.env.RATE_LIMIT_TRANSFER_PER_MINUTE, 10) || 1200, windowSeconds: 60 }
+};
+
+// Lockout strikes are remembered this long, so backoff keeps growing across windows
+const STRIKE_MEMORY_SECONDS = 24 * 60 * 60;
+
+let activeStore = null;
+
+// Whether this runs on a Vercel deployment (not `vercel dev`)
+function isVercelDeployment() {
+  return Boolean(process.env.VERCEL && process.env.VERCEL_ENV !== 'development');
+}
+
+// Whether this runs as a deployment rather than in development
+function isProduction() {
+  return process.env.NODE_ENV === 'production' || isVercelDeployment();
+}
+
+// Why a store cannot be used here, or null when it can
+function refuseStore(backend) {
+  const kvSetup = 'set KV_REST_API_URL and KV_REST_API_TOKEN (Vercel KV or Upstash)';
+  if (!backend || (backend === 'memory' && isProduction())) {
+    return isVercelDeployment()
+      ? `Rate limiting needs a shared store on Vercel: ${kvSetup}`
+      : `Rate limiting needs a shared store in production: ${kvSetup}, or RATE_LIMIT_STORE=file when a single server process runs the API`;
+  }
+  if (backend === 'file' && isVercelDeployment()) {
+    return `RATE_LIMIT_STORE=file cannot work on Vercel, where files are read-only and not shared between instances: ${kvSetup}`;
+  }
+  return null;
+}
+
+// Get the store configured for this environment
+export function getRateLimitStore() {
+  if (!activeStore) {
+    const configured = process.env.RATE_LIMIT_STORE || (process.env.KV_REST_API_URL ? 'kv' : null);
+    const backend = (configured || (isProduction() ? '' : 'memory')).toLowerCase();
+
+    const refusal = refuseStore(backend);
+    if (refusal) {
+      console.error(`Configuration error: ${refusal}`);
+      throw new HttpError(503, 'The server is not configured correctly. Please try again later.');
+    }
+
+    if (backend === 'memory') {
+      activeStore = createMemoryStore();
+    } else if (backend === 'file') {
+      activeStore = createFileStore();
+    } else if (backend === 'kv') {
+      activeStore = createKVStore();
+    } else {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${backend}`);
+    }
+  }
+
+  return activeStore;
+}
+
+// Replace the active store (used by tests and local tooling)
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+// Store that lives in this process only
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+
+    async set(key, record, ttlSeconds) {
+      records.set(key, { record, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return true;
+    },
+
+    async delete(key) {
+      records.delete(key);
+      return true;
+    }
+  };
+}
+
+// Store that keeps one JSON file per key, reusing the local storage adapter.
+// The directory comes from RATE_LIMIT_DIR and defaults to ./.data/ratelimit
+export function createFileStore(options = {}) {
+  const files = createLocalAdapter({
+    directory: options.directory || process.env.RATE_LIMIT_DIR || path.join(process.cwd(), '.data', 'ratelimit')
+  });
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const entry = await files.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return entry.record;
+    },
+
+    async set(key, record, ttlSeconds) {
+      return files.put(key, { record, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+
+    async delete(key) {
+      return files.delete(key);
+    }
+  };
+}
+
+// Store backed by a Redis-compatible REST API (Upstash, Vercel KV; see kv.js)
+export function createKVStore(options = {}) {
+  const { command } = createKVClient(options);
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      try {
+        const raw = await command(['GET', key]);
+        return raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        console.error('Error reading rate limit record from KV:', error);
+        return null;
+      }
+    },
+
+    async set(key, record, ttlSeconds) {
+      try {
+        await command(['SET', key, JSON.stringify(record), 'EX', String(Math.max(1, Math.ceil(ttlSeconds)))]);
+        return true;
+      } catch (error) {
+        console.error('Error writing rate limit record to KV:', error);
+        return false;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await command(['DEL', key]);
+        return true;
+      } catch (error) {
+        console.error('Error deleting rate limit record from KV:', error);
+        return false;
+      }
+    }
+  };
+}
+
+const recordKey = (policyName, id) => `ratelimit:${policyName}:${id}`;
+
+// A fresh window for a record, keeping its lockout history
+function currentRecord(record, policy, now) {
+  if (!record || record.windowEndsAt <= now) {
+    return {
+      count: 0,
+      windowEndsAt: now + policy.windowSeconds * 1000,
+      lockedUntil: record ? record.lockedUntil || 0 : 0,
+      strikes: record ? record.strikes || 0 : 0
+    };
+  }
+  return record;
+}
+
+// Describe a record the way the RateLimit-* headers need it
+function describe(record, policy, now) {
+  const locked = record.lockedUntil > now;
+  const resetAt = locked ? record.lockedUntil : record.windowEndsAt;
+  return {
+    allowed: !locked && record.count < policy.limit,
+    limit: policy.limit,
+    remaining: locked ? 0 : Math.max(0, policy.limit - record.count),
+    resetSeconds: Math.max(0, Math.ceil((resetAt - now) / 1000))
+  };
+}
+
+// Look at a key without counting anything
+export async function checkRateLimit(policyName, id) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  const now = Date.now();
+  const record = currentRecord(await getRateLimitStore().get(recordKey(policyName, id)), policy, now);
+  return describe(record, policy, now);
+}
+
+// Count one request against a key; the result says whether it was allowed
+export async function consumeRateLimit(policyName, id) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  const now = Date.now();
+  const store = getRateLimitStore();
+  const key = recordKey(policyName, id);
+
+  const record = currentRecord(await store.get(key), policy, now);
+  const result = describe(record, policy, now);
+  if (result.allowed) {
+    record.count += 1;
+    result.remaining = Math.max(0, policy.limit - record.count);
+    await store.set(key, record, (record.windowEndsAt - now) / 1000);
+  }
+
+  return result;
+}
+
+// Count a failed attempt; reaching the limit locks the key, longer each time
+export async function recordFailure(policyName, id) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  const now = Date.now();
+  const store = getRateLimitStore();
+  const key = recordKey(policyName, id);
+
+  const record = currentRecord(await store.get(key), policy, now);
+  record.count += 1;
+
+  if (record.count >= policy.limit) {
+    const lockSeconds = Math.min(policy.lockSeconds * 2 ** record.strikes, policy.maxLockSeconds);
+    record.lockedUntil = now + lockSeconds * 1000;
+    record.strikes += 1;
+    record.count = 0;
+  }
+
+  await store.set(key, record, STRIKE_MEMORY_SECONDS);
+  return describe(record, policy, now);
+}
+
+// Forget failures for a key, e.g. after a successful login
+export async function resetRateLimit(policyName, id) {
+  await getRateLimitStore().delete(recordKey(policyName, id));
+}
+
+// Set RateLimit-* headers (and Retry-After when blocked) for a result
+export function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.resetSeconds));
+  }
+}
+
+// Fail with 429 when a result is blocked
+export function assertAllowed(res, result, message = 'Too many requests. Please try again later.') {
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    throw new HttpError(429, message, { retryAfter: result.resetSeconds });
+  }
+}
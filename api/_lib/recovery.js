@@ -0,0 +1,45 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+// Recovery codes
+//
+// A storage gets a set of one-time codes when it is created. They are shown to
+// the user once and only their SHA-256 hashes are stored; the codes carry
+// enough randomness that a slow hash like bcrypt is not needed. Any unused
+// code can reset the password, after which it is spent.
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Crockford-style alphabet without look-alike characters (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+
+// Generate a fresh set of plain-text codes such as "K7QPM-4XWRT"
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const bytes = randomBytes(10);
+    const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+}
+
+// Hash a code for storage; input is normalised so case and dashes do not matter
+export function hashRecoveryCode(code) {
+  const normalised = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return createHash('sha256').update(normalised).digest('hex');
+}
+
+// Remove a matching code from the account; returns true when one was spent
+export function consumeRecoveryCode(account, code) {
+  const hash = Buffer.from(hashRecoveryCode(code));
+  const codes = account.recoveryCodes || [];
+  const index = codes.findIndex(stored => {
+    const candidate = Buffer.from(stored);
+    return candidate.length === hash.length && timingSafeEqual(candidate, hash);
+  });
+
+  if (index === -1) {
+    return false;
+  }
+
+  account.recoveryCodes = codes.filter((_, i) => i !== index);
+  return true;
+}
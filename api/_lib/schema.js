@@ -0,0 +1,268 @@
+import { buildBlobIndex } from './content.js';
+import { HttpError } from './errors.js';
+
+// Storage document schema
+//
+// Every storage document carries a schemaVersion. Documents written before
+// versioning existed are treated as version 1 and upgraded on read, so older
+// bins keep working without a manual migration.
+//
+// Current layout:
+//   {
+//     schemaVersion,
+//     revision,                                                                   // bumped by every save
+//     account: { password, createdAt, settings, sessions, recoveryCodes, totp },  // server-only
+//     tree: { files, folders, trash },                                            // what the client may see
+//     uploads,                                                                    // open resumable uploads
+//     blobs,                                                                      // stored content by SHA-256
+//     shares,                                                                     // public share links (see shares.js)
+//     grants,                                                                     // folders shared with other storage IDs
+//     sharedWithMe                                                                // folders other storages shared with this one (see permissions.js)
+//   }
+//
+// File content lives outside the document in chunk keys (see content.js), and so
+// does the search index (see search.js).
+//
+// Saves are compare-and-swap on `revision`: a write only succeeds when the
+// stored document is still at the revision it was loaded with, so two requests
+// changing the same storage at once can no longer overwrite each other. That
+// holds fully on the local adapter; on JSONBin only within one instance (see
+// storage.js).
+
+export const SCHEMA_VERSION = 13;
+
+// How often commitStorageDocument re-applies a change after losing a race
+const STORAGE_WRITE_ATTEMPTS = 3;
+
+// The root folder every storage starts with
+export function createRootFolder() {
+  return {
+    id: 'root',
+    name: 'Home',
+    path: '/',
+    children: []
+  };
+}
+
+// Build the document for a freshly created storage
+export function createStorageDocument(hashedPassword, recoveryCodeHashes = []) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    revision: 0,
+    account: {
+      password: hashedPassword,
+      createdAt: new Date().toISOString(),
+      settings: {},
+      sessions: [],
+      recoveryCodes: recoveryCodeHashes,
+      totp: null
+    },
+    tree: {
+      files: [],
+      folders: [createRootFolder()],
+      trash: []
+    },
+    uploads: [],
+    blobs: {},
+    shares: [],
+    grants: [],
+    sharedWithMe: []
+  };
+}
+
+// Upgrades keyed by the version they start from; each returns the next version
+const migrations = {
+  // v1 -> v2: auth.js nested the tree under `storage` while jsonbin.js read
+  // `files` and `folders` from the top level. Hoist whichever one exists.
+  1: (doc) => {
+    const { storage, ...rest } = doc;
+    const nested = storage && typeof storage === 'object' ? storage : {};
+
+    const files = Array.isArray(doc.files) ? doc.files : (Array.isArray(nested.files) ? nested.files : []);
+    const folders = Array.isArray(doc.folders) ? doc.folders : (Array.isArray(nested.folders) ? nested.folders : []);
+
+    if (!folders.some(folder => folder.id === 'root')) {
+      folders.unshift(createRootFolder());
+    }
+
+    return { ...rest, schemaVersion: 2, files, folders };
+  },
+
+  // v2 -> v3: separate credentials and account metadata from the file tree,
+  // so the tree can be handed to the client without leaking the password hash
+  2: (doc) => {
+    const { schemaVersion, files, folders, password, createdAt, settings, ...extra } = doc;
+
+    return {
+      schemaVersion: 3,
+      account: {
+        ...extra,
+        password,
+        createdAt: createdAt || new Date().toISOString(),
+        settings: settings && typeof settings === 'object' ? settings : {}
+      },
+      tree: { files, folders }
+    };
+  },
+
+  // v3 -> v4: deleted items go to a trash list instead of being removed outright
+  3: (doc) => ({
+    ...doc,
+    schemaVersion: 4,
+    tree: { ...doc.tree, trash: [] }
+  }),
+
+  // v4 -> v5: logins are tracked as revocable sessions. Tokens issued before
+  // this carry no session ID, so their holders simply have to log in again.
+  4: (doc) => ({
+    ...doc,
+    schemaVersion: 5,
+    account: { ...doc.account, sessions: [] }
+  }),
+
+  // v5 -> v6: hashed one-time recovery codes for password resets. Existing
+  // storages start without any and can generate a set from the account page.
+  5: (doc) => ({
+    ...doc,
+    schemaVersion: 6,
+    account: { ...doc.account, recoveryCodes: [] }
+  }),
+
+  // v6 -> v7: optional TOTP two-factor authentication, off until enrolled
+  6: (doc) => ({
+    ...doc,
+    schemaVersion: 7,
+    account: { ...doc.account, totp: null }
+  }),
+
+  // v7 -> v8: file content moves to separate chunk keys. Existing files keep
+  // their inline base64 content, which is still read as a single chunk.
+  7: (doc) => ({
+    ...doc,
+    schemaVersion: 8,
+    uploads: []
+  }),
+
+  // v8 -> v9: content is deduplicated by hash. Index the chunked files stored
+  // so far; legacy inline files have no hash and are left as they are.
+  8: (doc) => ({
+    ...doc,
+    schemaVersion: 9,
+    blobs: buildBlobIndex(doc.tree)
+  }),
+
+  // v9 -> v10: documents carry a revision for compare-and-swap saves
+  9: (doc) => ({
+    ...doc,
+    schemaVersion: 10,
+    revision: Number.isInteger(doc.revision) ? doc.revision : 0
+  }),
+
+  // v10 -> v11: public share links for files and folders
+  10: (doc) => ({
+    ...doc,
+    schemaVersion: 11,
+    shares: []
+  }),
+
+  // v11 -> v12: folders shared between storage IDs
+  11: (doc) => ({
+    ...doc,
+    schemaVersion: 12,
+    grants: [],
+    sharedWithMe: []
+  }),
+
+  // v12 -> v13: the search index is kept under its own key (see search.js), not
+  // in the document; the next save builds it
+  12: ({ searchIndex, ...doc }) => ({
+    ...doc,
+    schemaVersion: 13
+  })
+};
+
+// Bring a document up to the current schema version
+export function migrateStorageDocument(doc) {
+  if (!doc || typeof doc !== 'object') {
+    return doc;
+  }
+
+  let current = doc;
+  let version = Number.isInteger(current.schemaVersion) ? current.schemaVersion : 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Storage schema version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    current = migrations[version](current);
+    version = current.schemaVersion;
+  }
+
+  return current;
+}
+
+// Read a storage document through the adapter, upgrading and re-saving it if it was outdated
+export async function loadStorageDocument(storage, storageId) {
+  const doc = await storage.get(storageId);
+  if (!doc) {
+    return null;
+  }
+
+  const migrated = migrateStorageDocument(doc);
+  if (migrated.schemaVersion !== doc.schemaVersion) {
+    // Best effort, and only if nobody saved in between; the upgraded copy is
+    // also written by the next mutation. The revision stays the same because
+    // the content does not change.
+    await storage.putIfRevision(storageId, migrated, migrated.revision);
+  }
+
+  return migrated;
+}
+
+// Save a loaded document if it is still at the revision it was loaded with,
+// bumping the revision. Resolves to true when saved and false on a storage
+// error; a conflicting save by another request fails with 409.
+export async function saveStorageDocument(storage, storageId, doc) {
+  const revision = doc.revision || 0;
+  const outcome = await storage.putIfRevision(storageId, { ...doc, revision: revision + 1 }, revision);
+
+  if (outcome === 'conflict') {
+    throw new HttpError(409, 'This storage was changed by another request. Reload and try again.', { staleRevision: revision });
+  }
+  if (outcome === 'saved') {
+    doc.revision = revision + 1;
+  }
+  return outcome === 'saved';
+}
+
+// Apply a change to a loaded document and save it. If another request saved
+// first, the latest document is loaded and `mutate` runs again on that, so the
+// change is checked against (and merged into) the current state. `mutate` must
+// only change the document it is given, may throw an HttpError to refuse, and
+// may return false when there turned out to be nothing to save.
+// Resolves to { saved, doc, result } where doc is the document that was written.
+export async function commitStorageDocument(storage, storageId, doc, mutate) {
+  let current = doc;
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await mutate(current);
+    if (result === false) {
+      return { saved: false, doc: current, result };
+    }
+
+    try {
+      const saved = await saveStorageDocument(storage, storageId, current);
+      return { saved, doc: current, result };
+    } catch (error) {
+      if (!(error instanceof HttpError) || error.status !== 409 || attempt >= STORAGE_WRITE_ATTEMPTS) {
+        throw error;
+      }
+    }
+
+    current = await loadStorageDocument(storage, storageId);
+    if (!current) {
+      throw new HttpError(404, 'Storage not found');
+    }
+  }
+}
@@ -0,0 +1,398 @@
+import { getFolderDisplayPath, isWithinFolder, treeEtag } from './tree.js';
+import { getChunkCount, readFileChunk, listAllFiles } from './content.js';
+import { HttpError } from './errors.js';
+
+// Search
+//
+// Searches run on an index kept next to each storage document, under its own key:
+//   <storageId>:search  ->  {
+//     revision,                  // compare-and-swap counter of the index itself
+//     docRevision, etag,         // the saved tree the entries were built from
+//     entries: [{ id, itemType, name, normalizedName, folderId, size, type, modified, textKey }],
+//     text: { <textKey>: [words] }
+//   }
+// Every save of a tree (addFile, renameItem, deleteItem and the other actions,
+// see `save` in jsonbin.js) rebuilds the entries, with names lowercased and
+// stripped of accents, and adds the words of the text files it stored. Words are
+// keyed by content (the SHA-256, so copies, versions and deduplicated files share
+// one entry) and dropped once no file uses the content anymore.
+//
+// An index that does not match the tree (its write failed, or the storage is
+// older than the index) is rebuilt for the search, and saved when the caller
+// may change the folder searched. Text files stored before words were indexed
+// are read by such searches, SEARCH_INDEX_BATCH at a time; until then they only
+// match by name, and results count them as `unindexed`.
+
+// Text-like content is indexed up to this many bytes and distinct words per file
+export const SEARCH_TEXT_MAX_BYTES = parseInt(process.env.SEARCH_TEXT_MAX_BYTES, 10) || 256 * 1024;
+export const SEARCH_TEXT_MAX_WORDS = parseInt(process.env.SEARCH_TEXT_MAX_WORDS, 10) || 2000;
+
+// Files a single search reads to fill gaps in the text index
+export const SEARCH_INDEX_BATCH = 20;
+
+// How often a write to the text index is retried after losing a race
+const SEARCH_WRITE_ATTEMPTS = 3;
+
+// Most results one search returns
+export const SEARCH_RESULT_LIMIT = 100;
+
+// Values of the `type` filter: files or folders only, or a kind of file
+export const SEARCH_TYPES = ['file', 'folder', 'image', 'video', 'audio', 'text', 'document', 'archive'];
+
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/x-sh', 'application/sql', 'application/yaml', 'image/svg+xml'];
+
+// Kinds of file by extension, for types the browser did not report
+const FILE_KINDS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'ico', 'heic', 'avif'],
+  video: ['mp4', 'mov', 'avi', 'mkv', 'webm', 'm4v'],
+  audio: ['mp3', 'wav', 'ogg', 'flac', 'm4a', 'aac'],
+  text: ['txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'html', 'htm', 'css', 'scss', 'js', 'jsx', 'mjs', 'ts', 'tsx',
+    'py', 'rb', 'php', 'java', 'c', 'h', 'cpp', 'cs', 'go', 'rs', 'sh', 'yml', 'yaml', 'toml', 'ini', 'log', 'sql'],
+  document: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'xls', 'xlsx', 'ods', 'ppt', 'pptx', 'odp'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2', 'xz']
+};
+
+// Words are runs of letters, digits and underscores
+const WORD_PATTERN = /[\p{L}\p{N}_]{2,64}/gu;
+
+// Lowercase text and strip accents, so "Résumé" matches "resume"
+export function normalizeText(text) {
+  return String(text).normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function extensionOf(name) {
+  const parts = String(name).toLowerCase().split('.');
+  return parts.length > 1 ? parts.pop() : '';
+}
+
+// The kind of a file (image, text, ...) from its MIME type or extension, or null
+export function fileKind(name, type = '') {
+  const mediaType = String(type).split('/')[0];
+  if (['image', 'video', 'audio'].includes(mediaType)) {
+    return mediaType;
+  }
+  if (mediaType === 'text' || TEXT_MIME_TYPES.includes(type)) {
+    return 'text';
+  }
+  const extension = extensionOf(name);
+  return Object.keys(FILE_KINDS).find(kind => FILE_KINDS[kind].includes(extension)) || null;
+}
+
+// Whether a file's words are indexed for full-text search
+export function isTextLike(name, type) {
+  return fileKind(name, type) === 'text' || TEXT_MIME_TYPES.includes(type);
+}
+
+// Key of a file's content in the text index; legacy inline files have no hash
+export function textKey(file) {
+  if (file.sha256) {
+    return file.sha256;
+  }
+  return file.contentId ? `content:${file.contentId}` : `file:${file.id}`;
+}
+
+// Distinct words at the start of some content
+export function extractWords(buffer) {
+  const text = normalizeText(buffer.subarray(0, SEARCH_TEXT_MAX_BYTES).toString('utf8'));
+  const words = new Set();
+  for (const [word] of text.matchAll(WORD_PATTERN)) {
+    words.add(word);
+    if (words.size >= SEARCH_TEXT_MAX_WORDS) {
+      break;
+    }
+  }
+  return [...words];
+}
+
+// Read the start of a file's content and extract its words; missing content has none
+export async function readFileWords(storage, storageId, file) {
+  const chunks = [];
+  let bytes = 0;
+  for (let index = 0; index < getChunkCount(file) && bytes < SEARCH_TEXT_MAX_BYTES; index++) {
+    const chunk = await readFileChunk(storage, storageId, file, index);
+    if (!chunk) {
+      return [];
+    }
+    chunks.push(chunk);
+    bytes += chunk.length;
+  }
+  return extractWords(Buffer.concat(chunks));
+}
+
+// Adapter key of a storage's search index
+export function searchIndexKey(storageId) {
+  return `${storageId}:search`;
+}
+
+// Index entries of the live files and folders of a tree
+export function buildSearchEntries(tree) {
+  const folders = tree.folders
+    .filter(folder => folder.id !== 'root')
+    .map(folder => ({
+      id: folder.id,
+      itemType: 'folder',
+      name: folder.name,
+      normalizedName: normalizeText(folder.name),
+      folderId: folder.parentId || 'root',
+      size: null,
+      type: null,
+      modified: folder.modified || folder.created || null,
+      textKey: null
+    }));
+  const files = tree.files.map(file => ({
+    id: file.id,
+    itemType: 'file',
+    name: file.name,
+    normalizedName: normalizeText(file.name),
+    folderId: file.folderId || 'root',
+    size: file.size || 0,
+    type: file.type || '',
+    modified: file.modified || file.created || null,
+    textKey: isTextLike(file.name, file.type) ? textKey(file) : null
+  }));
+
+  return [...folders, ...files];
+}
+
+// Read a storage's search index for the tree being searched as
+// { entries, text, current }. Entries made from another version of the tree are
+// rebuilt from this one, and `current` is false.
+export async function loadSearchIndex(storage, storageId, tree) {
+  const stored = await storage.get(searchIndexKey(storageId));
+  const text = stored && stored.text && typeof stored.text === 'object' ? stored.text : {};
+  if (stored && Array.isArray(stored.entries) && stored.etag === treeEtag(tree)) {
+    return { entries: stored.entries, text, current: true };
+  }
+  return { entries: buildSearchEntries(tree), text, current: false };
+}
+
+// Bring a storage's search index up to date with a tree saved at docRevision,
+// adding words ({ <textKey>: [words] }). An index built from a later save keeps
+// its entries and only gains the words. Resolves to true when the index was written.
+export async function updateSearchIndex(storage, storageId, tree, docRevision, words = {}) {
+  const key = searchIndexKey(storageId);
+
+  for (let attempt = 1; attempt <= SEARCH_WRITE_ATTEMPTS; attempt++) {
+    const stored = await storage.get(key);
+    const revision = stored && Number.isInteger(stored.revision) ? stored.revision : 0;
+    const storedText = stored && stored.text && typeof stored.text === 'object' ? stored.text : {};
+
+    const newWords = Object.keys(words).length > 0;
+    let next;
+    if (stored && stored.docRevision > docRevision) {
+      if (!newWords) {
+        return true;
+      }
+      next = { ...stored, revision: revision + 1, text: { ...storedText, ...words } };
+    } else {
+      // Keep the words of content the tree still uses (live or trashed files;
+      // restoring a version reads its words again)
+      const inUse = new Set(listAllFiles(tree).map(textKey));
+      const text = Object.fromEntries(
+        Object.entries({ ...storedText, ...words }).filter(([contentKey]) => inUse.has(contentKey))
+      );
+
+      // Saves that changed neither the files and folders nor the content they
+      // use (sessions, shares, ...) leave the index as it is
+      const etag = treeEtag(tree);
+      if (stored && stored.etag === etag && !newWords && Object.keys(text).length === Object.keys(storedText).length) {
+        return true;
+      }
+      next = { revision: revision + 1, docRevision, etag, entries: buildSearchEntries(tree), text };
+    }
+
+    if (!stored) {
+      // Another request may create the index first; the next attempt updates it
+      if (await storage.create(key, next)) {
+        return true;
+      }
+      continue;
+    }
+
+    const outcome = await storage.putIfRevision(key, next, revision);
+    if (outcome !== 'conflict') {
+      return outcome === 'saved';
+    }
+  }
+  return false;
+}
+
+// Text-like files in a folder (and below it) whose words are not in the index yet
+export function findUnindexedFiles(tree, text, folderId = 'root') {
+  const keys = new Set();
+  return tree.files.filter(file => {
+    const key = textKey(file);
+    if (!isTextLike(file.name, file.type) || text[key] || keys.has(key) || !isWithinFolder(tree, file.folderId || 'root', folderId)) {
+      return false;
+    }
+    keys.add(key);
+    return true;
+  });
+}
+
+// Validate the options of the search action:
+//   { query, type, minSize, maxSize, modifiedAfter, modifiedBefore, folderId, content }
+// A query with * or ? is a glob over whole names (runs of * count as one);
+// otherwise it matches anywhere in a name, and (unless content is false) the
+// words of text files.
+export function prepareSearch(options = {}) {
+  const query = typeof options.query === 'string' ? options.query.trim().replace(/\*{2,}/g, '*') : '';
+  if (query.length > 200) {
+    throw new HttpError(400, 'Search text is too long');
+  }
+
+  if (options.type && !SEARCH_TYPES.includes(options.type)) {
+    throw new HttpError(400, `Type must be one of: ${SEARCH_TYPES.join(', ')}`);
+  }
+
+  const size = (value, label) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const bytes = Number(value);
+    if (!Number.isFinite(bytes) || bytes < 0) {
+      throw new HttpError(400, `${label} must be a number of bytes`);
+    }
+    return bytes;
+  };
+
+  const date = (value, label) => {
+    if (!value) {
+      return null;
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      throw new HttpError(400, `${label} must be a date`);
+    }
+    return time;
+  };
+
+  const prepared = {
+    query,
+    glob: /[*?]/.test(query),
+    type: options.type || null,
+    minSize: size(options.minSize, 'Minimum size'),
+    maxSize: size(options.maxSize, 'Maximum size'),
+    modifiedAfter: date(options.modifiedAfter, 'Modified after'),
+    modifiedBefore: date(options.modifiedBefore, 'Modified before'),
+    folderId: typeof options.folderId === 'string' && options.folderId ? options.folderId : null,
+    content: options.content !== false
+  };
+
+  const filtered = prepared.type || prepared.minSize !== null || prepared.maxSize !== null ||
+    prepared.modifiedAfter !== null || prepared.modifiedBefore !== null || prepared.folderId;
+  if (!query && !filtered) {
+    throw new HttpError(400, 'Enter something to search for or choose a filter');
+  }
+  return prepared;
+}
+
+// Whether a whole name matches a glob ("report-*.pdf", "img_????.jpg"), both
+// given as arrays of characters. On a mismatch only the last * takes one more
+// character, so a name is walked at most once per character of the glob instead
+// of the exponential backtracking a regular expression can fall into.
+function globMatches(glob, name) {
+  let g = 0;
+  let n = 0;
+  let star = -1;
+  let starMatch = 0;
+
+  while (n < name.length) {
+    if (g < glob.length && (glob[g] === '?' || glob[g] === name[n])) {
+      g++;
+      n++;
+    } else if (g < glob.length && glob[g] === '*') {
+      star = g++;
+      starMatch = n;
+    } else if (star !== -1) {
+      g = star + 1;
+      n = ++starMatch;
+    } else {
+      return false;
+    }
+  }
+
+  while (g < glob.length && glob[g] === '*') {
+    g++;
+  }
+  return g === glob.length;
+}
+
+// Whether an index entry passes the filters
+function passesFilters(tree, entry, options) {
+  if (options.type === 'file' || options.type === 'folder') {
+    if (entry.itemType !== options.type) return false;
+  } else if (options.type && (entry.itemType !== 'file' || fileKind(entry.name, entry.type) !== options.type)) {
+    return false;
+  }
+
+  if (options.minSize !== null || options.maxSize !== null) {
+    if (entry.itemType !== 'file') return false;
+    if (options.minSize !== null && entry.size < options.minSize) return false;
+    if (options.maxSize !== null && entry.size > options.maxSize) return false;
+  }
+
+  const modified = entry.modified ? new Date(entry.modified).getTime() : null;
+  if (options.modifiedAfter !== null && (modified === null || modified < options.modifiedAfter)) return false;
+  if (options.modifiedBefore !== null && (modified === null || modified > options.modifiedBefore)) return false;
+
+  return !options.folderId || isWithinFolder(tree, entry.folderId, options.folderId);
+}
+
+// Search the index of a tree (from loadSearchIndex). Name matches come first,
+// then matches on content only. Only options.folderId and what is below it are
+// searched, and paths start at pathBaseId (a shared folder shows no names above
+// it). Returns { results, total, truncated, unindexed } where unindexed counts
+// the text files searched whose words are not in the index yet.
+export function runSearch(tree, { entries, text }, options, pathBaseId = 'root') {
+  const nameMatches = options.glob
+    ? (() => {
+      const glob = [...normalizeText(options.query)];
+      return (entry) => globMatches(glob, [...entry.normalizedName]);
+    })()
+    : (entry) => entry.normalizedName.includes(normalizeText(options.query));
+
+  // Every word of the query has to start one of the file's words
+  const queryWords = options.content && !options.glob ? (normalizeText(options.query).match(WORD_PATTERN) || []) : [];
+  const contentMatches = (entry) => {
+    const words = entry.textKey && text[entry.textKey];
+    return Boolean(words) && queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)));
+  };
+
+  const hits = [];
+  entries.forEach(entry => {
+    if (!passesFilters(tree, entry, options)) {
+      return;
+    }
+
+    const matches = [];
+    if (!options.query || nameMatches(entry)) matches.push('name');
+    if (queryWords.length > 0 && contentMatches(entry)) matches.push('content');
+    if (matches.length > 0) {
+      hits.push({ entry, matches });
+    }
+  });
+
+  hits.sort((a, b) => (
+    Number(b.matches.includes('name')) - Number(a.matches.includes('name')) ||
+    a.entry.name.localeCompare(b.entry.name)
+  ));
+
+  const unindexed = options.content && queryWords.length > 0 ? findUnindexedFiles(tree, text, options.folderId || 'root').length : 0;
+  return {
+    results: hits.slice(0, SEARCH_RESULT_LIMIT).map(({ entry, matches }) => ({
+      itemType: entry.itemType,
+      id: entry.id,
+      name: entry.name,
+      folderId: entry.folderId,
+      path: getFolderDisplayPath(tree, entry.folderId, pathBaseId),
+      size: entry.size,
+      type: entry.type,
+      modified: entry.modified,
+      matches
+    })),
+    total: hits.length,
+    truncated: hits.length > SEARCH_RESULT_LIMIT,
+    unindexed
+  };
+}
@@ -0,0 +1,178 @@
+import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
+import { HttpError } from './errors.js';
+import { CSRF_COOKIE, sessionCsrfToken, csrfCookie } from './csrf.js';
+
+// Sessions
+//
+// Every login creates a session record in account.sessions and a JWT whose
+// `sid` claim points at it. A token is only accepted while its session record
+// exists, so deleting the record revokes the token server-side even though
+// the cookie itself lives on in the browser until it expires.
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-for-development';
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+// How long a password-verified login may wait for its second factor
+const PARTIAL_TOKEN_TTL_SECONDS = 5 * 60;
+
+// lastSeen is only rewritten this often, so ordinary requests do not all turn into writes
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Get the calling client's IP address
+export function getClientIP(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return (req.socket || req.connection || {}).remoteAddress || 'unknown';
+}
+
+// Turn a user agent into a short label such as "Firefox on Windows"
+export function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+
+  let os = 'unknown OS';
+  if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  return `${browser} on ${os}`;
+}
+
+// Register a new session on the storage document and sign its token
+export function createSession(doc, storageId, req) {
+  const now = Date.now();
+  const session = {
+    id: randomUUID(),
+    device: describeDevice(req.headers['user-agent']),
+    ip: getClientIP(req),
+    createdAt: new Date(now).toISOString(),
+    lastSeen: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_SECONDS * 1000).toISOString()
+  };
+
+  // Forget sessions whose tokens have expired anyway
+  doc.account.sessions = (doc.account.sessions || []).filter(s => new Date(s.expiresAt).getTime() > now);
+  doc.account.sessions.push(session);
+
+  const token = jwt.sign(
+    {
+      storageId,
+      sid: session.id,
+      exp: Math.floor(now / 1000) + SESSION_TTL_SECONDS
+    },
+    JWT_SECRET
+  );
+
+  return { session, token };
+}
+
+// Short-lived token proving the password step of a two-factor login passed.
+// It is handed to the client in the response body and is not a session.
+export function createPartialToken(storageId) {
+  return jwt.sign(
+    {
+      storageId,
+      purpose: 'totp',
+      exp: Math.floor(Date.now() / 1000) + PARTIAL_TOKEN_TTL_SECONDS
+    },
+    JWT_SECRET
+  );
+}
+
+// Verify a partial token from the password step; fails with 401
+export function verifyPartialToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(401, 'Login expired, please enter your password again');
+  }
+
+  if (decoded.purpose !== 'totp') {
+    throw new HttpError(401, 'Login expired, please enter your password again');
+  }
+  return decoded;
+}
+
+// Set the session token in an HTTP-only cookie, next to the session's CSRF token
+export function setSessionCookie(res, token, session) {
+  res.setHeader('Set-Cookie', [
+    `token=${token}; HttpOnly; Path=/; SameSite=Strict; Max-Age=${SESSION_TTL_SECONDS}${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`,
+    csrfCookie(sessionCsrfToken(session.id), SESSION_TTL_SECONDS)
+  ]);
+}
+
+// Expire the session and CSRF cookies in the browser
+export function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', [
+    `token=; HttpOnly; Path=/; SameSite=Strict; Max-Age=0${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`,
+    `${CSRF_COOKIE}=; Path=/; SameSite=Strict; Max-Age=0`
+  ]);
+}
+
+// Verify the token cookie's signature and expiry; fails with 401
+export function verifySessionToken(req) {
+  const token = req.cookies && req.cookies.token;
+  if (!token) {
+    throw new HttpError(401, 'Not authenticated');
+  }
+
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(401, 'Invalid token');
+  }
+}
+
+// Find the live session a verified token belongs to; fails with 401 once it is revoked
+export function requireSession(doc, decoded) {
+  const session = decoded.sid && (doc.account.sessions || []).find(s => s.id === decoded.sid);
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+    throw new HttpError(401, 'Session has been revoked');
+  }
+  return session;
+}
+
+// Record activity on a session; returns true when the document changed and should be saved
+export function touchSession(session, req) {
+  const now = Date.now();
+  const ip = getClientIP(req);
+  if (now - new Date(session.lastSeen).getTime() < TOUCH_INTERVAL_MS && session.ip === ip) {
+    return false;
+  }
+
+  session.lastSeen = new Date(now).toISOString();
+  session.ip = ip;
+  return true;
+}
+
+// Remove sessions matching a predicate; returns how many were revoked
+export function revokeSessions(doc, predicate) {
+  const sessions = doc.account.sessions || [];
+  doc.account.sessions = sessions.filter(s => !predicate(s));
+  return sessions.length - doc.account.sessions.length;
+}
+
+// The session list shown to the user
+export function toClientSessions(doc, currentSessionId) {
+  return (doc.account.sessions || []).map(session => ({
+    id: session.id,
+    device: session.device,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeen: session.lastSeen,
+    current: session.id === currentSessionId
+  }));
+}
@@ -0,0 +1,218 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { createHash, randomBytes } from 'crypto';
+import { HttpError } from './errors.js';
+import { JWT_SECRET } from './session.js';
+import { findFolder, collectSubtree, isWithinFolder, generateId } from './tree.js';
+
+// Share links
+//
+// A share gives anyone holding its token read access to one file or folder,
+// without logging in. The owner's document lists the shares in doc.shares:
+//   { id, token, itemType, itemId, createdAt, createdBy, expiresAt,
+//     passwordHash, maxDownloads, downloads }
+// and a small pointer document under share:<sha256 of token> leads the public
+// endpoint from a token to the storage it belongs to. Storage IDs cannot
+// contain ":", so pointer keys never collide with them.
+//
+// expiresAt, passwordHash and maxDownloads are optional. Every file download
+// through a link counts towards maxDownloads once, when its first (or only)
+// part is fetched. That response carries a download ticket, and the remaining
+// parts of the same file are only sent against it.
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+// How long a download ticket stays valid for fetching the remaining parts
+const DOWNLOAD_TICKET_TTL_SECONDS = 60 * 60;
+
+// Adapter key of the pointer document for a token
+export function shareKey(token) {
+  return `share:${createHash('sha256').update(String(token)).digest('hex')}`;
+}
+
+// Check and normalise the options for a new share, hashing the password
+export async function prepareShareOptions({ expiresAt, password, maxDownloads } = {}) {
+  const options = { expiresAt: null, passwordHash: null, maxDownloads: null };
+
+  if (expiresAt) {
+    const time = new Date(expiresAt).getTime();
+    if (Number.isNaN(time) || time <= Date.now()) {
+      throw new HttpError(400, 'The expiry date must be in the future');
+    }
+    options.expiresAt = new Date(time).toISOString();
+  }
+
+  if (password) {
+    if (typeof password !== 'string') {
+      throw new HttpError(400, 'Invalid password');
+    }
+    options.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+    const limit = Number(maxDownloads);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new HttpError(400, 'The download limit must be a whole number of at least 1');
+    }
+    options.maxDownloads = limit;
+  }
+
+  return options;
+}
+
+// Add a share for a file or folder to the document (the caller saves it and writes the pointer)
+export function createShare(doc, { itemType, itemId, options, author }) {
+  requireSharedItem(doc.tree, itemType, itemId);
+
+  const share = {
+    id: generateId(),
+    token: randomBytes(24).toString('base64url'),
+    itemType,
+    itemId,
+    createdAt: new Date().toISOString(),
+    createdBy: author,
+    ...options,
+    downloads: 0
+  };
+
+  doc.shares = [...(doc.shares || []), share];
+  return share;
+}
+
+// Remove a share from the document; returns it, or fails with 404
+export function removeShare(doc, shareId) {
+  const share = (doc.shares || []).find(s => s.id === shareId);
+  if (!share) {
+    throw new HttpError(404, 'Share not found');
+  }
+  doc.shares = doc.shares.filter(s => s.id !== shareId);
+  return share;
+}
+
+// The file or folder a share points at, or 404 when it was deleted
+function requireSharedItem(tree, itemType, itemId) {
+  if (itemType !== 'file' && itemType !== 'folder') {
+    throw new HttpError(400, 'Invalid item type');
+  }
+
+  const item = itemType === 'file' ? tree.files.find(f => f.id === itemId) : findFolder(tree, itemId);
+  if (!item) {
+    throw new HttpError(404, itemType === 'file' ? 'File not found' : 'Folder not found');
+  }
+  return item;
+}
+
+// Find the share for a token in its storage document and check it can still be used.
+// Parts of a download that was already counted pass even once the limit is reached.
+export function requireActiveShare(doc, token, { counted = false } = {}) {
+  const share = (doc.shares || []).find(s => s.token === token);
+  if (!share) {
+    throw new HttpError(404, 'This link does not exist or was revoked');
+  }
+  if (share.expiresAt && new Date(share.expiresAt).getTime() <= Date.now()) {
+    throw new HttpError(410, 'This link has expired');
+  }
+  if (!counted && share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+    throw new HttpError(410, 'This link has reached its download limit');
+  }
+  return share;
+}
+
+// Check the password of a protected share; a missing password is reported separately
+export async function checkSharePassword(share, password) {
+  if (!share.passwordHash) {
+    return true;
+  }
+  if (!password) {
+    throw new HttpError(401, 'This link is password protected', { passwordRequired: true });
+  }
+  return bcrypt.compare(password, share.passwordHash);
+}
+
+// A file that may be downloaded through a share, or 404
+export function requireSharedFile(tree, share, fileId) {
+  if (share.itemType === 'file') {
+    return requireSharedItem(tree, 'file', share.itemId);
+  }
+
+  requireSharedItem(tree, 'folder', share.itemId);
+  const file = tree.files.find(f => f.id === fileId);
+  if (!file || !isWithinFolder(tree, file.folderId, share.itemId)) {
+    throw new HttpError(404, 'File not found');
+  }
+  return file;
+}
+
+// Ticket for fetching the remaining parts of a counted download
+export function createDownloadTicket(share, fileId) {
+  return jwt.sign(
+    {
+      purpose: 'shareDownload',
+      shareId: share.id,
+      fileId,
+      exp: Math.floor(Date.now() / 1000) + DOWNLOAD_TICKET_TTL_SECONDS
+    },
+    JWT_SECRET
+  );
+}
+
+// Check a download ticket against the share and file it must have been issued for; fails with 403
+export function verifyDownloadTicket(ticket, share, fileId) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(ticket || ''), JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== 'shareDownload' || decoded.shareId !== share.id || decoded.fileId !== fileId) {
+    throw new HttpError(403, 'This download has to be started again');
+  }
+}
+
+// What the public share page shows: the item and, for folders, every file in it with its path
+export function describeShare(tree, share) {
+  const item = requireSharedItem(tree, share.itemType, share.itemId);
+  const info = {
+    itemType: share.itemType,
+    name: item.name,
+    expiresAt: share.expiresAt,
+    downloadsLeft: share.maxDownloads === null ? null : share.maxDownloads - share.downloads
+  };
+
+  if (share.itemType === 'file') {
+    return { ...info, files: [toSharedFile(item, '')] };
+  }
+
+  // Paths are relative to the shared folder
+  const paths = new Map([[item.id, '']]);
+  const pathOf = (folderId) => {
+    if (!paths.has(folderId)) {
+      const folder = findFolder(tree, folderId);
+      paths.set(folderId, `${pathOf(folder.parentId || 'root')}${folder.name}/`);
+    }
+    return paths.get(folderId);
+  };
+
+  const { files } = collectSubtree(tree, item.id);
+  return { ...info, files: files.map(file => toSharedFile(file, pathOf(file.folderId))) };
+}
+
+function toSharedFile(file, path) {
+  return { id: file.id, name: file.name, path, size: file.size, type: file.type, chunkCount: file.chunkCount || 1 };
+}
+
+// The share list shown to the owner
+export function toClientShares(tree, shares = []) {
+  return shares.map(({ passwordHash, itemType, itemId, ...share }) => {
+    const item = itemType === 'file' ? tree.files.find(f => f.id === itemId) : findFolder(tree, itemId);
+    return {
+      ...share,
+      itemType,
+      itemId,
+      name: item ? item.name : null,
+      passwordProtected: Boolean(passwordHash),
+      expired: Boolean(share.expiresAt && new Date(share.expiresAt).getTime() <= Date.now())
+    };
+  });
+}
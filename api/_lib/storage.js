@@ -0,0 +1,449 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { isKVConfigured, createKVClient } from './kv.js';
+import { HttpError } from './errors.js';
+
+// Storage adapters
+//
+// Every adapter exposes the same four operations on JSON documents:
+//   get(key)          -> document, or null when it does not exist
+//   put(key, data)    -> true on success (creates or replaces)
+//   create(key, data) -> true on success, false if the key already exists
+//   delete(key)       -> true on success (missing keys count as deleted)
+//   putIfRevision(key, data, revision)
+//                     -> "saved", "conflict" when the stored document's `revision`
+//                        is not `revision` (missing counts as 0), or "failed"
+//
+// putIfRevision is atomic on every adapter, so two requests saving the same
+// document at once cannot both succeed, even on different instances: the loser
+// gets "conflict" and retries on the latest version (see commitStorageDocument in
+// schema.js). Plain puts are last-writer-wins.
+//
+// The backend is chosen with STORAGE_BACKEND ("jsonbin" by default, or "local").
+
+let activeAdapter = null;
+
+// Get the adapter configured for this environment
+export function getStorageAdapter() {
+  if (!activeAdapter) {
+    const backend = (process.env.STORAGE_BACKEND || 'jsonbin').toLowerCase();
+
+    if (backend === 'local') {
+      activeAdapter = createLocalAdapter();
+    } else if (backend === 'jsonbin') {
+      activeAdapter = createJSONBinAdapter();
+    } else {
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+  }
+
+  return activeAdapter;
+}
+
+// Replace the active adapter (used by tests and local tooling)
+export function setStorageAdapter(adapter) {
+  activeAdapter = adapter;
+}
+
+// Revision of a stored document; documents from before revisions existed are at 0
+function revisionOf(doc) {
+  return doc && Number.isInteger(doc.revision) ? doc.revision : 0;
+}
+
+// Adapter backed by api.jsonbin.io
+//
+// JSONBin picks the ID of every bin it creates, so a document cannot live at its
+// key. A KV store (see kv.js) maps each key to the bin holding it:
+//   jsonbin:bin:<key>  ->  <binId>
+// Entries change one key at a time and only from the bin they were seen to hold,
+// so instances creating keys at once never lose each other's mappings: when two
+// create the same key, one keeps its bin and the other deletes its own. The
+// JSONBin backend therefore needs KV_REST_API_URL and KV_REST_API_TOKEN besides
+// JSONBIN_KEY; without them every request fails with 503 and logs what is missing.
+//
+// JSONBin has no conditional writes either. putIfRevision holds a lock in KV
+//   jsonbin:lock:<key>  ->  <token of the holder>
+// while it compares the stored revision and writes, and every instance takes the
+// same lock for conditional writes to a key. A lock frees itself after
+// JSONBIN_LOCK_MS, in case its holder died; that is far longer than one read and
+// one write to JSONBin take.
+//
+// Existing deployments keep their data. Keys that are bin IDs themselves (24 hex
+// digits, as storages were addressed before this adapter) are used as they are
+// while KV has no entry for them. Deployments that kept a directory bin
+// ({ "bins": { <key>: <binId> } }) can leave JSONBIN_DIRECTORY_BIN set: keys
+// missing from KV are looked up there and copied over, and the bin is never
+// written again. Once every key was read, or copied by hand, it can be removed.
+const BIN_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Write attempts of a put that raced another instance creating the same key
+const JSONBIN_PUT_ATTEMPTS = 3;
+
+// How long a conditional write may hold a key's lock, and how long another one
+// waits for it before reporting a conflict
+const JSONBIN_LOCK_MS = 15000;
+const JSONBIN_LOCK_WAIT_MS = 5000;
+
+export function createJSONBinAdapter(options = {}) {
+  const baseUrl = options.baseUrl || 'https://api.jsonbin.io/v3';
+  const masterKey = options.masterKey || process.env.JSONBIN_KEY;
+  const legacyDirectoryBin = options.directoryBin || process.env.JSONBIN_DIRECTORY_BIN;
+  if (!options.kv && !isKVConfigured()) {
+    console.error('Configuration error: STORAGE_BACKEND=jsonbin keeps its key directory in KV: set KV_REST_API_URL and KV_REST_API_TOKEN (Vercel KV or Upstash)');
+    throw new HttpError(503, 'The server is not configured correctly. Please try again later.');
+  }
+  const kv = options.kv || createKVClient();
+
+  const request = (url, method, { body, headers = {} } = {}) => fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Master-Key': masterKey,
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  // Read a bin; null when it does not exist
+  const readBin = async (binId) => {
+    const response = await request(`${baseUrl}/b/${binId}`, 'GET', { headers: { 'X-Bin-Meta': false } });
+    if (response.status === 404) {
+      return null; // Document not found
+    }
+    if (!response.ok) {
+      throw new Error(`JSONBin error: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  // Make a new private bin; resolves to its ID
+  const createBin = async (key, data) => {
+    const response = await request(`${baseUrl}/b`, 'POST', {
+      body: data,
+      headers: { 'X-Bin-Name': key.slice(0, 128), 'X-Bin-Private': true }
+    });
+    if (!response.ok) {
+      throw new Error(`JSONBin error: ${response.status}`);
+    }
+    return (await response.json()).metadata.id;
+  };
+
+  const deleteBin = (binId) => request(`${baseUrl}/b/${binId}`, 'DELETE');
+
+  const directoryKey = (key) => `jsonbin:bin:${key}`;
+
+  // Mappings of the directory bin of older deployments, read once
+  let legacyBins = null;
+  const legacyBinFor = async (key) => {
+    if (!legacyDirectoryBin) {
+      return null;
+    }
+    if (!legacyBins) {
+      const directory = await readBin(legacyDirectoryBin);
+      legacyBins = new Map(Object.entries((directory && directory.bins) || {}));
+    }
+    return legacyBins.get(key) || null;
+  };
+
+  // The bin KV maps a key to, or null. Keys only the legacy directory knows are copied to KV.
+  const mappedBin = async (key) => {
+    const binId = await kv.command(['GET', directoryKey(key)]);
+    if (binId) {
+      return binId;
+    }
+
+    const legacy = await legacyBinFor(key);
+    if (legacy && !(await kv.compareAndSet(directoryKey(key), '', legacy))) {
+      return kv.command(['GET', directoryKey(key)]);
+    }
+    return legacy;
+  };
+
+  // Store a key in a new bin and point KV at it, unless the key was mapped
+  // elsewhere since `mapped` was read. Resolves to false (with the bin deleted) then.
+  const claimNewBin = async (key, data, mapped) => {
+    const binId = await createBin(key, data);
+    try {
+      if (await kv.compareAndSet(directoryKey(key), mapped, binId)) {
+        return true;
+      }
+    } catch (error) {
+      await deleteBin(binId).catch(() => {});
+      throw error;
+    }
+    await deleteBin(binId).catch(() => {});
+    return false;
+  };
+
+  // Replace a key's bin, or make one when it has none (or it was deleted)
+  const writeKey = async (key, data) => {
+    try {
+      for (let attempt = 1; attempt <= JSONBIN_PUT_ATTEMPTS; attempt++) {
+        const mapped = await mappedBin(key);
+        const binId = mapped || (BIN_ID_PATTERN.test(key) ? key : null);
+        if (binId) {
+          const response = await request(`${baseUrl}/b/${binId}`, 'PUT', { body: data });
+          if (response.status !== 404) {
+            return response.ok;
+          }
+        }
+        // Another instance created the key meanwhile; the next attempt writes to its bin
+        if (await claimNewBin(key, data, mapped)) {
+          return true;
+        }
+      }
+      return false;
+    } catch (error) {
+      console.error('Error saving document to JSONBin:', error);
+      return false;
+    }
+  };
+
+  // Run a conditional write while holding the key's lock in KV. Resolves to null
+  // when the lock stayed taken for JSONBIN_LOCK_WAIT_MS.
+  const withLock = async (key, fn) => {
+    const lock = `jsonbin:lock:${key}`;
+    const token = randomUUID();
+    const deadline = Date.now() + JSONBIN_LOCK_WAIT_MS;
+    while ((await kv.command(['SET', lock, token, 'NX', 'PX', String(JSONBIN_LOCK_MS)])) !== 'OK') {
+      if (Date.now() > deadline) {
+        return null;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      // Only our own lock is released, not one taken over after it expired
+      await kv.compareAndSet(lock, token, '').catch(() => {});
+    }
+  };
+
+  // Writes to one key run one after another within an instance, so conditional
+  // writes here do not compete for the KV lock
+  const keyQueues = new Map();
+  const serialize = (key, fn) => {
+    const run = (keyQueues.get(key) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    keyQueues.set(key, settled);
+    settled.then(() => {
+      if (keyQueues.get(key) === settled) {
+        keyQueues.delete(key);
+      }
+    });
+    return run;
+  };
+
+  return {
+    name: 'jsonbin',
+
+    async get(key) {
+      try {
+        const binId = (await mappedBin(key)) || (BIN_ID_PATTERN.test(key) ? key : null);
+        return binId ? await readBin(binId) : null;
+      } catch (error) {
+        console.error('Error getting document from JSONBin:', error);
+        return null;
+      }
+    },
+
+    put(key, data) {
+      return serialize(key, () => writeKey(key, data));
+    },
+
+    // Checks and writes under the key's lock; see the note above this adapter
+    putIfRevision(key, data, revision) {
+      return serialize(key, async () => {
+        try {
+          const outcome = await withLock(key, async () => {
+            const current = await this.get(key);
+            if (!current) {
+              return 'failed';
+            }
+            if (revisionOf(current) !== revision) {
+              return 'conflict';
+            }
+            return (await writeKey(key, data)) ? 'saved' : 'failed';
+          });
+          // Another instance kept writing the document; the caller retries on its version
+          return outcome || 'conflict';
+        } catch (error) {
+          console.error('Error saving document to JSONBin:', error);
+          return 'failed';
+        }
+      });
+    },
+
+    create(key, data) {
+      return serialize(key, async () => {
+        try {
+          const mapped = await mappedBin(key);
+          const binId = mapped || (BIN_ID_PATTERN.test(key) ? key : null);
+          if (binId && await readBin(binId)) {
+            return false;
+          }
+          return await claimNewBin(key, data, mapped);
+        } catch (error) {
+          console.error('Error creating document in JSONBin:', error);
+          return false;
+        }
+      });
+    },
+
+    async delete(key) {
+      try {
+        const mapped = await mappedBin(key);
+        const binId = mapped || (BIN_ID_PATTERN.test(key) ? key : null);
+        if (!binId) {
+          return true;
+        }
+
+        const response = await deleteBin(binId);
+        if (!response.ok && response.status !== 404) {
+          return false;
+        }
+        // A key created again meanwhile keeps its new bin
+        if (mapped) {
+          await kv.compareAndSet(directoryKey(key), mapped, '');
+        }
+        return true;
+      } catch (error) {
+        console.error('Error deleting document from JSONBin:', error);
+        return false;
+      }
+    }
+  };
+}
+
+// Adapter that keeps one JSON file per document on local disk.
+// The directory comes from LOCAL_STORAGE_DIR and defaults to ./.data
+export function createLocalAdapter(options = {}) {
+  const directory = options.directory || process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), '.data');
+
+  // Keys may contain any characters, so encode them into a flat file name
+  const fileFor = (key) => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+  // Hold a lock file next to a document while a conditional write checks and replaces it.
+  // A lock older than LOCK_STALE_MS was left behind by a crashed process and is taken over.
+  const LOCK_STALE_MS = 10000;
+  const withLock = async (key, fn) => {
+    await fs.mkdir(directory, { recursive: true });
+    const lock = `${fileFor(key)}.lock`;
+    const deadline = Date.now() + LOCK_STALE_MS;
+
+    for (;;) {
+      try {
+        await (await fs.open(lock, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        const stat = await fs.stat(lock).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.unlink(lock).catch(() => {});
+        } else if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lock on ${key}`);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(lock).catch(() => {});
+    }
+  };
+
+  // Write through a temporary file so readers never see a half-written document
+  const writeFile = async (key, data, flag) => {
+    await fs.mkdir(directory, { recursive: true });
+    const target = fileFor(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data), { flag: 'w' });
+    if (flag === 'wx') {
+      // Hard-linking fails when the target exists, which makes create atomic
+      try {
+        await fs.link(temp, target);
+      } finally {
+        await fs.unlink(temp);
+      }
+    } else {
+      await fs.rename(temp, target);
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async get(key) {
+      try {
+        const raw = await fs.readFile(fileFor(key), 'utf8');
+        return JSON.parse(raw);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading local document:', error);
+        }
+        return null;
+      }
+    },
+
+    async put(key, data) {
+      try {
+        await writeFile(key, data, 'w');
+        return true;
+      } catch (error) {
+        console.error('Error writing local document:', error);
+        return false;
+      }
+    },
+
+    async putIfRevision(key, data, revision) {
+      try {
+        return await withLock(key, async () => {
+          const current = await this.get(key);
+          if (!current) {
+            return 'failed';
+          }
+          if (revisionOf(current) !== revision) {
+            return 'conflict';
+          }
+          await writeFile(key, data, 'w');
+          return 'saved';
+        });
+      } catch (error) {
+        console.error('Error writing local document:', error);
+        return 'failed';
+      }
+    },
+
+    async create(key, data) {
+      try {
+        await writeFile(key, data, 'wx');
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          console.error('Error creating local document:', error);
+        }
+        return false;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(fileFor(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return true;
+        }
+        console.error('Error deleting local document:', error);
+        return false;
+      }
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import { thumbnailKey } from './content.js';
+
+// Thumbnails
+//
+// Images get a small WebP thumbnail when their content is stored (addFile,
+// uploadInit for content that is already stored, uploadFinalize). It is made
+// once per content ID and kept next to the chunks as its own adapter document
+//   { data: <base64>, type: 'image/webp', width, height }
+// (see content.js for the key). The file record notes its size as
+// `thumbnail: { width, height }`, or null when there is none, and copies,
+// versions and deduplicated files share it along with the content.
+//
+// Images are decoded with sharp, a native module loaded on first use. Where it
+// is not installed, files simply get no thumbnail.
+
+// Longest side of a thumbnail in pixels
+export const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 256;
+
+// Larger images are not decoded for a thumbnail
+export const THUMBNAIL_SOURCE_MAX_BYTES = parseInt(process.env.THUMBNAIL_SOURCE_MAX_BYTES, 10) || 25 * 1024 * 1024;
+
+// Image types thumbnails are made of. SVG is left out, as rendering it on the
+// server could load what it references.
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff'];
+
+// sharp, or null when it cannot be loaded here
+let sharpModule;
+async function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = (await import('sharp')).default;
+    } catch (error) {
+      console.error('Thumbnails are disabled, as sharp could not be loaded:', error.message);
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+// Whether stored content is an image that gets a thumbnail
+export function canHaveThumbnail({ contentId, type, size }) {
+  return Boolean(contentId) && THUMBNAIL_TYPES.includes(type) && size <= THUMBNAIL_SOURCE_MAX_BYTES;
+}
+
+// Make and store the thumbnail of some content unless it has one already.
+// `read` resolves to the image bytes and is only called when a thumbnail has
+// to be made. Resolves to { width, height }, or null when the content is not
+// an image that can be read; failures are logged, as a file works without one.
+export async function ensureThumbnail(storage, storageId, content, read) {
+  if (!canHaveThumbnail(content)) {
+    return null;
+  }
+
+  const key = thumbnailKey(storageId, content.contentId);
+  try {
+    const existing = await storage.get(key);
+    if (existing) {
+      return { width: existing.width, height: existing.height };
+    }
+
+    const sharp = await loadSharp();
+    if (!sharp) {
+      return null;
+    }
+
+    const buffer = await read();
+    if (!buffer) {
+      return null;
+    }
+
+    // Only the first frame of animations; rotate() applies the EXIF orientation
+    const { data, info } = await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = { width: info.width, height: info.height };
+    if (!(await storage.put(key, { data: data.toString('base64'), type: 'image/webp', ...thumbnail }))) {
+      console.error(`Failed to store the thumbnail of ${content.contentId}`);
+      return null;
+    }
+    return thumbnail;
+  } catch (error) {
+    console.error(`Failed to make a thumbnail of ${content.contentId}:`, error);
+    return null;
+  }
+}
+
+// Read a stored thumbnail as { buffer, type }, or null when it is missing
+export async function readThumbnail(storage, storageId, contentId) {
+  const thumbnail = await storage.get(thumbnailKey(storageId, contentId));
+  if (!thumbnail || typeof thumbnail.data !== 'string') {
+    return null;
+  }
+  return { buffer: Buffer.from(thumbnail.data, 'base64'), type: thumbnail.type || 'image/webp' };
+}
@@ -0,0 +1,126 @@
+import { HttpError } from './errors.js';
+import { collectSubtree, findFolder, getFolderDisplayPath, getRemovalSummary, uniqueName, generateId } from './tree.js';
+
+// Trash
+//
+// Deleting an item moves it, together with everything below it, out of the
+// live tree into tree.trash. Each trash entry remembers where the item came
+// from so it can be restored there. Entries older than TRASH_RETENTION_DAYS
+// (default 30) are purged automatically.
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Move a file or folder (with its subtree) into the trash
+export function moveToTrash(tree, itemType, itemId) {
+  const summary = getRemovalSummary(tree, itemType, itemId);
+
+  let item;
+  let files;
+  let folders;
+
+  if (itemType === 'file') {
+    item = tree.files.find(f => f.id === itemId);
+    files = [item];
+    folders = [];
+  } else {
+    const subtree = collectSubtree(tree, itemId);
+    item = findFolder(tree, itemId);
+    files = subtree.files;
+    folders = tree.folders.filter(f => subtree.folderIds.has(f.id));
+  }
+
+  const originalParentId = itemType === 'file' ? item.folderId : (item.parentId || 'root');
+  const entry = {
+    id: generateId(),
+    itemType,
+    itemId,
+    name: item.name,
+    originalParentId,
+    originalPath: getFolderDisplayPath(tree, originalParentId),
+    deletedAt: new Date().toISOString(),
+    summary,
+    files,
+    folders
+  };
+
+  const fileIds = new Set(files.map(f => f.id));
+  const folderIds = new Set(folders.map(f => f.id));
+  tree.files = tree.files.filter(f => !fileIds.has(f.id));
+  tree.folders = tree.folders.filter(f => !folderIds.has(f.id));
+  tree.trash.push(entry);
+
+  return entry;
+}
+
+// Find a trash entry or fail with 404
+function requireTrashEntry(tree, trashId) {
+  const entry = tree.trash.find(e => e.id === trashId);
+  if (!entry) {
+    throw new HttpError(404, 'Item not found in trash');
+  }
+  return entry;
+}
+
+// Put a trashed item back where it was, or in Home if that folder is gone.
+// A name taken in the meantime gets a " (2)" style suffix.
+export function restoreFromTrash(tree, trashId) {
+  const entry = requireTrashEntry(tree, trashId);
+  const parentId = findFolder(tree, entry.originalParentId) ? entry.originalParentId : 'root';
+  const name = uniqueName(tree, entry.itemType, parentId, entry.name);
+
+  const restoredFiles = entry.files.map(file => (
+    entry.itemType === 'file' ? { ...file, name, folderId: parentId } : file
+  ));
+  const restoredFolders = entry.folders.map(folder => (
+    folder.id === entry.itemId ? { ...folder, name, parentId } : folder
+  ));
+
+  tree.files.push(...restoredFiles);
+  tree.folders.push(...restoredFolders);
+  tree.trash = tree.trash.filter(e => e.id !== trashId);
+
+  return { entry, parentId, name };
+}
+
+// Delete one trash entry for good
+export function purgeTrashEntry(tree, trashId) {
+  const entry = requireTrashEntry(tree, trashId);
+  tree.trash = tree.trash.filter(e => e.id !== trashId);
+  return entry;
+}
+
+// Delete every trash entry for good
+export function emptyTrash(tree) {
+  const entries = tree.trash;
+  tree.trash = [];
+  return entries;
+}
+
+// Drop entries older than the retention period; returns what was removed
+export function purgeExpiredTrash(tree, now = Date.now()) {
+  const expired = tree.trash.filter(entry => getExpiry(entry) <= now);
+  if (expired.length > 0) {
+    tree.trash = tree.trash.filter(entry => getExpiry(entry) > now);
+  }
+  return expired;
+}
+
+function getExpiry(entry) {
+  return new Date(entry.deletedAt).getTime() + RETENTION_MS;
+}
+
+// The trash listing sent to the client, without the stored items themselves
+export function toClientTrash(tree) {
+  return tree.trash.map(entry => ({
+    id: entry.id,
+    itemType: entry.itemType,
+    name: entry.name,
+    originalParentId: entry.originalParentId,
+    originalPath: entry.originalPath,
+    deletedAt: entry.deletedAt,
+    expiresAt: new Date(getExpiry(entry)).toISOString(),
+    summary: entry.summary
+  }));
+}
@@ -0,0 +1,429 @@
+import { randomUUID, createHash } from 'crypto';
+import { HttpError } from './errors.js';
+import { createRootFolder } from './schema.js';
+import { moveToTrash } from './trash.js';
+
+// Helpers for the client-visible file tree ({ files, folders })
+
+const INVALID_NAME_CHARS = /[<>:"/\\|?*\x00-\x1F]/;
+const MAX_NAME_LENGTH = 255;
+
+// How a move or copy handles an existing item with the same name in the target folder
+export const CONFLICT_POLICIES = ['rename', 'overwrite', 'skip'];
+
+// IDs for new files and folders; unlike timestamps these never collide within one request
+export function generateId() {
+  return randomUUID();
+}
+
+// Validate a file or folder name and return it trimmed
+export function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new HttpError(400, 'Name is required');
+  }
+
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_NAME_LENGTH || INVALID_NAME_CHARS.test(trimmed) || trimmed === '.' || trimmed === '..') {
+    throw new HttpError(400, `Invalid name: ${trimmed}`);
+  }
+
+  return trimmed;
+}
+
+// Find a folder by ID
+export function findFolder(tree, folderId) {
+  return tree.folders.find(f => f.id === folderId) || null;
+}
+
+// Display path of a folder, e.g. "/Projects/2024" ("/" for the root). With a
+// baseId the path starts below that folder instead of at the root.
+export function getFolderDisplayPath(tree, folderId, baseId = 'root') {
+  const names = [];
+  const visited = new Set();
+  let folder = findFolder(tree, folderId);
+
+  while (folder && folder.id !== 'root' && folder.id !== baseId && !visited.has(folder.id)) {
+    visited.add(folder.id);
+    names.unshift(folder.name);
+    folder = findFolder(tree, folder.parentId || 'root');
+  }
+
+  return `/${names.join('/')}`;
+}
+
+// Find a folder by ID or fail with 404
+export function requireFolder(tree, folderId) {
+  const folder = findFolder(tree, folderId);
+  if (!folder) {
+    throw new HttpError(404, 'Folder not found');
+  }
+  return folder;
+}
+
+// Collect a folder and everything below it, following parentId links
+export function collectSubtree(tree, folderId) {
+  const folderIds = new Set([folderId]);
+  let added = true;
+
+  // Repeat until no new descendants turn up; order of folders in the array does not matter
+  while (added) {
+    added = false;
+    tree.folders.forEach(folder => {
+      if (!folderIds.has(folder.id) && folderIds.has(folder.parentId)) {
+        folderIds.add(folder.id);
+        added = true;
+      }
+    });
+  }
+
+  return {
+    folderIds,
+    files: tree.files.filter(file => folderIds.has(file.folderId))
+  };
+}
+
+// Check whether a folder is the given ancestor or sits anywhere below it
+export function isWithinFolder(tree, folderId, ancestorId) {
+  const visited = new Set();
+  let current = folderId;
+
+  while (current && !visited.has(current)) {
+    if (current === ancestorId) {
+      return true;
+    }
+    visited.add(current);
+    const folder = findFolder(tree, current);
+    current = folder && folder.id !== 'root' ? (folder.parentId || 'root') : null;
+  }
+
+  return false;
+}
+
+// Find an item of the same type and name directly inside a folder
+function findSibling(tree, itemType, parentId, name, excludeId) {
+  const siblings = itemType === 'file'
+    ? tree.files.filter(f => f.folderId === parentId)
+    : tree.folders.filter(f => f.id !== 'root' && (f.parentId || 'root') === parentId);
+
+  return siblings.find(item => item.id !== excludeId && item.name === name) || null;
+}
+
+// Keep a name if it is free in the folder, otherwise turn "report.pdf" into
+// "report (2).pdf", "report (3).pdf", ... until one is
+export function uniqueName(tree, itemType, parentId, name, excludeId = null) {
+  if (!findSibling(tree, itemType, parentId, name, excludeId)) {
+    return name;
+  }
+
+  const dot = itemType === 'file' ? name.lastIndexOf('.') : -1;
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${extension}`;
+    if (!findSibling(tree, itemType, parentId, candidate, excludeId)) {
+      return candidate;
+    }
+  }
+}
+
+// Decide the name an item gets in the target folder. Returns null when the item should be skipped.
+// Without a policy a collision is reported as a 409 so the client can ask the user.
+// A move ignores the item itself when looking for collisions; a copy does not.
+function resolveNameConflict(tree, itemType, item, parentId, policy, excludeId) {
+  const existing = findSibling(tree, itemType, parentId, item.name, excludeId);
+  if (!existing) {
+    return item.name;
+  }
+
+  if (policy === 'rename') {
+    return uniqueName(tree, itemType, parentId, item.name, excludeId);
+  }
+
+  if (policy === 'skip' || (policy === 'overwrite' && existing.id === item.id)) {
+    return null;
+  }
+
+  if (policy === 'overwrite') {
+    // Overwriting a folder that contains the item would delete the item itself
+    if (itemType === 'folder' && isWithinFolder(tree, item.id, existing.id)) {
+      throw new HttpError(400, `Cannot overwrite "${existing.name}" because it contains the item`);
+    }
+    // The replaced item goes to the trash, so an overwrite can be undone
+    moveToTrash(tree, itemType, existing.id);
+    return item.name;
+  }
+
+  throw new HttpError(409, `An item named "${item.name}" already exists there`, {
+    conflict: { name: item.name, policies: CONFLICT_POLICIES }
+  });
+}
+
+// Look up the item a move or copy refers to
+function requireItem(tree, itemType, itemId) {
+  if (itemType === 'file') {
+    const file = tree.files.find(f => f.id === itemId);
+    if (!file) {
+      throw new HttpError(404, 'File not found');
+    }
+    return file;
+  }
+
+  if (itemType === 'folder') {
+    if (itemId === 'root') {
+      throw new HttpError(400, 'The root folder cannot be moved or copied');
+    }
+    return requireFolder(tree, itemId);
+  }
+
+  throw new HttpError(400, 'Invalid item type');
+}
+
+// Check the target of a move or copy, rejecting a folder placed inside its own subtree
+function checkTarget(tree, itemType, itemId, targetFolderId, policy) {
+  if (policy !== undefined && !CONFLICT_POLICIES.includes(policy)) {
+    throw new HttpError(400, 'Invalid conflict policy');
+  }
+
+  requireFolder(tree, targetFolderId);
+
+  if (itemType === 'folder' && isWithinFolder(tree, targetFolderId, itemId)) {
+    throw new HttpError(400, 'A folder cannot be placed inside itself or one of its subfolders');
+  }
+}
+
+// Move a file or folder into another folder
+export function moveItem(tree, { itemType, itemId, targetFolderId, conflictPolicy }) {
+  const item = requireItem(tree, itemType, itemId);
+  checkTarget(tree, itemType, itemId, targetFolderId, conflictPolicy);
+
+  const currentParent = itemType === 'file' ? item.folderId : (item.parentId || 'root');
+  if (currentParent === targetFolderId) {
+    return { result: 'unchanged', item };
+  }
+
+  const name = resolveNameConflict(tree, itemType, item, targetFolderId, conflictPolicy, item.id);
+  if (name === null) {
+    return { result: 'skipped', item };
+  }
+
+  item.name = name;
+  item.modified = new Date().toISOString();
+  if (itemType === 'file') {
+    item.folderId = targetFolderId;
+  } else {
+    item.parentId = targetFolderId;
+  }
+
+  return { result: 'moved', item };
+}
+
+// Rename a file or folder in place. A name taken by a sibling is handled like
+// a move into a folder that has it: a 409 without a policy, or the policy's outcome.
+export function renameItem(tree, { itemType, itemId, name, conflictPolicy }) {
+  if (itemType === 'folder' && itemId === 'root') {
+    throw new HttpError(404, 'Folder not found');
+  }
+  const item = requireItem(tree, itemType, itemId);
+  if (conflictPolicy !== undefined && !CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw new HttpError(400, 'Invalid conflict policy');
+  }
+
+  const parentId = itemType === 'file' ? item.folderId : (item.parentId || 'root');
+  const resolved = resolveNameConflict(tree, itemType, { id: item.id, name }, parentId, conflictPolicy, item.id);
+  if (resolved === null) {
+    return { result: 'skipped', item };
+  }
+
+  item.name = resolved;
+  item.modified = new Date().toISOString();
+  return { result: 'renamed', item };
+}
+
+// Copy a file, or a folder with everything inside it, into another folder
+export function copyItem(tree, { itemType, itemId, targetFolderId, conflictPolicy }) {
+  const item = requireItem(tree, itemType, itemId);
+  checkTarget(tree, itemType, itemId, targetFolderId, conflictPolicy);
+
+  // The copy is a new item, so it may collide even with the original
+  const name = resolveNameConflict(tree, itemType, item, targetFolderId, conflictPolicy, null);
+  if (name === null) {
+    return { result: 'skipped', item };
+  }
+
+  const now = new Date().toISOString();
+
+  if (itemType === 'file') {
+    const copy = { ...item, id: generateId(), name, folderId: targetFolderId, created: now, modified: now };
+    tree.files.push(copy);
+    return { result: 'copied', item: copy, files: [copy], folders: [] };
+  }
+
+  // Give every folder in the subtree a new ID, then re-link parents and files to the new IDs
+  const { folderIds, files } = collectSubtree(tree, itemId);
+  const newIds = new Map([...folderIds].map(id => [id, generateId()]));
+
+  const folders = tree.folders
+    .filter(folder => folderIds.has(folder.id))
+    .map(folder => ({
+      ...folder,
+      id: newIds.get(folder.id),
+      name: folder.id === itemId ? name : folder.name,
+      parentId: folder.id === itemId ? targetFolderId : newIds.get(folder.parentId),
+      created: now,
+      modified: now
+    }));
+
+  const copiedFiles = files.map(file => ({
+    ...file,
+    id: generateId(),
+    folderId: newIds.get(file.folderId),
+    created: now,
+    modified: now
+  }));
+
+  tree.folders.push(...folders);
+  tree.files.push(...copiedFiles);
+
+  const copy = folders.find(folder => folder.id === newIds.get(itemId));
+  return { result: 'copied', item: copy, files: copiedFiles, folders };
+}
+
+// Work out what deleting an item would remove
+export function getRemovalSummary(tree, itemType, itemId) {
+  if (itemType === 'file') {
+    const file = tree.files.find(f => f.id === itemId);
+    if (!file) {
+      throw new HttpError(404, 'File not found');
+    }
+    return { files: 1, folders: 0, bytes: file.size || 0 };
+  }
+
+  if (itemType === 'folder') {
+    if (itemId === 'root') {
+      throw new HttpError(400, 'The root folder cannot be deleted');
+    }
+    requireFolder(tree, itemId);
+
+    const { folderIds, files } = collectSubtree(tree, itemId);
+    return {
+      files: files.length,
+      folders: folderIds.size,
+      bytes: files.reduce((total, file) => total + (file.size || 0), 0)
+    };
+  }
+
+  throw new HttpError(400, 'Invalid item type');
+}
+
+// The view of a file that is sent to the client; content and version history stay on the server
+export function toClientFile({ content, versions, ...file }) {
+  return { ...file, versionCount: (versions || []).length + 1 };
+}
+
+// The view of the tree that is sent to the client
+export function toClientTree(tree) {
+  return {
+    files: tree.files.map(toClientFile),
+    folders: tree.folders
+  };
+}
+
+// Entity tag of the tree as the client sees it. updateStorage only replaces
+// the tree when it is still the one this tag was taken from.
+export function treeEtag(tree) {
+  const hash = createHash('sha256').update(JSON.stringify(toClientTree(tree))).digest('hex');
+  return `"${hash.slice(0, 32)}"`;
+}
+
+// Validate a whole-tree replacement sent through updateStorage.
+// Only metadata can change: files must already exist (their content is kept),
+// every reference must resolve, and the folder hierarchy must stay acyclic.
+// Nothing can be removed this way: items left out of the update would skip the
+// trash and leave shares and grants pointing at nothing, so deleteItem has to be used.
+export function applyTreeUpdate(tree, update) {
+  if (!update || !Array.isArray(update.files) || !Array.isArray(update.folders)) {
+    throw new HttpError(400, 'Files and folders arrays are required');
+  }
+
+  const now = new Date().toISOString();
+  const folderIds = new Set();
+
+  const folders = update.folders.map(folder => {
+    if (!folder || typeof folder.id !== 'string' || folderIds.has(folder.id)) {
+      throw new HttpError(400, 'Every folder needs a unique ID');
+    }
+    folderIds.add(folder.id);
+
+    const existing = findFolder(tree, folder.id);
+    if (folder.id === 'root') {
+      return existing || createRootFolder();
+    }
+
+    const name = validateName(folder.name);
+    const parentId = typeof folder.parentId === 'string' ? folder.parentId : 'root';
+    const changed = !existing || existing.name !== name || existing.parentId !== parentId;
+
+    return {
+      ...(existing || { id: folder.id, children: [], created: now }),
+      name,
+      parentId,
+      path: typeof folder.path === 'string' ? folder.path : (existing ? existing.path : '/'),
+      modified: changed ? now : existing.modified
+    };
+  });
+
+  if (!folderIds.has('root')) {
+    folders.unshift(findFolder(tree, 'root') || createRootFolder());
+    folderIds.add('root');
+  }
+
+  const parentOf = new Map(folders.map(f => [f.id, f.parentId]));
+  folders.forEach(folder => {
+    if (folder.id === 'root') return;
+    if (!folderIds.has(folder.parentId)) {
+      throw new HttpError(400, `Unknown parent folder for ${folder.name}`);
+    }
+
+    // Walk up to the root; revisiting a folder means the hierarchy has a cycle
+    const seen = new Set([folder.id]);
+    let current = folder.parentId;
+    while (current && current !== 'root') {
+      if (seen.has(current)) {
+        throw new HttpError(400, `Folder ${folder.name} cannot be inside itself`);
+      }
+      seen.add(current);
+      current = parentOf.get(current);
+    }
+  });
+
+  const fileIds = new Set();
+  const files = update.files.map(file => {
+    const existing = file && tree.files.find(f => f.id === file.id);
+    if (!existing || fileIds.has(file.id)) {
+      throw new HttpError(400, 'Files can only be changed, not created, through updateStorage');
+    }
+    fileIds.add(file.id);
+
+    const name = validateName(file.name);
+    const folderId = typeof file.folderId === 'string' ? file.folderId : 'root';
+    if (!folderIds.has(folderId)) {
+      throw new HttpError(400, `Unknown folder for ${name}`);
+    }
+
+    const changed = existing.name !== name || existing.folderId !== folderId;
+    return {
+      ...existing,
+      name,
+      folderId,
+      modified: changed ? now : existing.modified
+    };
+  });
+
+  const dropped = tree.files.some(file => !fileIds.has(file.id)) || tree.folders.some(folder => !folderIds.has(folder.id));
+  if (dropped) {
+    throw new HttpError(400, 'Files and folders can only be removed with deleteItem');
+  }
+
+  return { ...tree, files, folders };
+}
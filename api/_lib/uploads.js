@@ -0,0 +1,160 @@
+import { createHash, randomUUID } from 'crypto';
+import { HttpError } from './errors.js';
+import { UPLOAD_CHUNK_SIZE, writeChunk, readChunk, deleteContent } from './content.js';
+
+// Resumable uploads
+//
+// uploadInit writes a manifest under <storageId>:upload:<uploadId> with the
+// expected size, SHA-256 and chunk count. Chunks are then sent one at a time,
+// in any order and as often as needed, straight to their content keys (the
+// upload ID becomes the file's content ID). uploadFinalize reads the chunks
+// back, checks size and hash, and only then does the file appear in the tree.
+//
+// The storage document keeps a small index of open uploads (doc.uploads) so
+// abandoned ones can be cleaned up after UPLOAD_EXPIRY_HOURS (default 24).
+// Functions that take the document only change it in memory; chunks and
+// manifests are written before the document is saved and deleted after, so a
+// save that has to be retried never loses or repeats them.
+
+export const UPLOAD_EXPIRY_HOURS = parseInt(process.env.UPLOAD_EXPIRY_HOURS, 10) || 24;
+
+// Adapter key of an upload manifest
+export function uploadKey(storageId, uploadId) {
+  return `${storageId}:upload:${uploadId}`;
+}
+
+// Expected byte length of one chunk
+function expectedChunkSize(manifest, index) {
+  const isLast = index === manifest.chunkCount - 1;
+  return isLast ? manifest.size - manifest.chunkSize * (manifest.chunkCount - 1) : manifest.chunkSize;
+}
+
+// Write the manifest of a new upload; registerUpload then adds it to the document
+export async function createUpload(storage, storageId, { name, type, size, sha256, folderId }) {
+  if (!Number.isInteger(size) || size < 0) {
+    throw new HttpError(400, 'File size must be a whole number of bytes');
+  }
+  if (typeof sha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(sha256)) {
+    throw new HttpError(400, 'A SHA-256 hash of the file is required');
+  }
+
+  const now = Date.now();
+  const manifest = {
+    id: randomUUID(),
+    name,
+    type,
+    size,
+    sha256: sha256.toLowerCase(),
+    folderId,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    // Empty files still get one (empty) chunk so every file has content to read
+    chunkCount: Math.max(1, Math.ceil(size / UPLOAD_CHUNK_SIZE)),
+    received: [],
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000).toISOString()
+  };
+
+  const saved = await storage.put(uploadKey(storageId, manifest.id), manifest);
+  if (!saved) {
+    throw new HttpError(500, 'Failed to start upload');
+  }
+  return manifest;
+}
+
+// Add an upload to the document's index of open uploads
+export function registerUpload(doc, manifest) {
+  doc.uploads = [...(doc.uploads || []), { id: manifest.id, chunkCount: manifest.chunkCount, expiresAt: manifest.expiresAt }];
+}
+
+// Take an upload out of the document's index; returns its entry, or null if it is not open
+export function unregisterUpload(doc, uploadId) {
+  const entry = (doc.uploads || []).find(u => u.id === uploadId) || null;
+  if (entry) {
+    doc.uploads = doc.uploads.filter(u => u.id !== uploadId);
+  }
+  return entry;
+}
+
+// Load an open upload of this storage or fail with 404
+export async function requireUpload(storage, doc, storageId, uploadId) {
+  const indexed = uploadId && (doc.uploads || []).find(u => u.id === uploadId);
+  const manifest = indexed && await storage.get(uploadKey(storageId, uploadId));
+  if (!manifest || new Date(manifest.expiresAt).getTime() <= Date.now()) {
+    throw new HttpError(404, 'Upload not found or expired');
+  }
+  return manifest;
+}
+
+// Store one chunk and record it in the manifest
+export async function storeUploadChunk(storage, storageId, manifest, index, data) {
+  if (!Number.isInteger(index) || index < 0 || index >= manifest.chunkCount) {
+    throw new HttpError(400, `Chunk index must be between 0 and ${manifest.chunkCount - 1}`);
+  }
+  if (typeof data !== 'string') {
+    throw new HttpError(400, 'Chunk data is required');
+  }
+
+  const buffer = Buffer.from(data, 'base64');
+  const expected = expectedChunkSize(manifest, index);
+  if (buffer.length !== expected) {
+    throw new HttpError(400, `Chunk ${index} should be ${expected} bytes, got ${buffer.length}`);
+  }
+
+  if (!(await writeChunk(storage, storageId, manifest.id, index, buffer))) {
+    throw new HttpError(500, 'Failed to store chunk');
+  }
+
+  // The manifest is only a progress hint for resuming; finalize reads the chunks themselves
+  if (!manifest.received.includes(index)) {
+    manifest.received = [...manifest.received, index].sort((a, b) => a - b);
+    await storage.put(uploadKey(storageId, manifest.id), manifest);
+  }
+  return manifest;
+}
+
+// Check that every chunk is present and matches the declared size and hash.
+// Returns the content fields for the new file record.
+export async function verifyUpload(storage, storageId, manifest) {
+  const hash = createHash('sha256');
+  const missing = [];
+  let size = 0;
+
+  for (let index = 0; index < manifest.chunkCount; index++) {
+    const chunk = await readChunk(storage, storageId, manifest.id, index);
+    if (!chunk) {
+      missing.push(index);
+      continue;
+    }
+    hash.update(chunk);
+    size += chunk.length;
+  }
+
+  if (missing.length > 0) {
+    throw new HttpError(409, `Upload is missing ${missing.length} chunk(s)`, { missing });
+  }
+
+  const sha256 = hash.digest('hex');
+  if (size !== manifest.size || sha256 !== manifest.sha256) {
+    throw new HttpError(422, 'Uploaded content does not match its hash. Please upload the file again.');
+  }
+
+  return { contentId: manifest.id, chunkCount: manifest.chunkCount, size, sha256 };
+}
+
+// Delete an upload's manifest and, unless a file now uses them, its chunks
+export async function deleteUploadData(storage, storageId, entry, { keepChunks = false } = {}) {
+  if (!keepChunks) {
+    await deleteContent(storage, storageId, entry.id, entry.chunkCount);
+  }
+  await storage.delete(uploadKey(storageId, entry.id));
+}
+
+// Take uploads that were never finished out of the document; returns their
+// entries so deleteUploadData can clean them up once the document is saved
+export function purgeExpiredUploads(doc, now = Date.now()) {
+  const expired = (doc.uploads || []).filter(u => new Date(u.expiresAt).getTime() <= now);
+  if (expired.length > 0) {
+    doc.uploads = doc.uploads.filter(u => !expired.includes(u));
+  }
+  return expired;
+}
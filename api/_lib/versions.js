@@ -0,0 +1,100 @@
+import { HttpError } from './errors.js';
+import { generateId } from './tree.js';
+
+// File versions
+//
+// Uploading a file under a name that already exists in its folder adds a new
+// version of that file instead of a second entry. The file record always
+// describes the current version; earlier ones are kept newest first in
+// file.versions, each with its own content reference, size, hash, author and
+// timestamp. A file keeps at most FILE_VERSION_LIMIT versions (default 10,
+// the current one included) and the oldest are dropped beyond that. Their
+// content is freed like any other once nothing refers to it (see content.js).
+
+export const FILE_VERSION_LIMIT = Math.max(1, parseInt(process.env.FILE_VERSION_LIMIT, 10) || 10);
+
+// Snapshot of the version a file record currently describes
+function currentVersionOf(file) {
+  const { versionId, size, type, contentId, chunkCount, sha256, thumbnail, content, author, modified } = file;
+  return { id: versionId || generateId(), size, type, contentId, chunkCount, sha256, thumbnail, content, author, created: modified };
+}
+
+// Make new content the current version, moving the previous one into the history
+function setCurrentVersion(file, { size, type, contentId, chunkCount, sha256, thumbnail, content }, author) {
+  file.versions = [currentVersionOf(file), ...(file.versions || [])].slice(0, FILE_VERSION_LIMIT - 1);
+
+  // Legacy inline content now lives in the archived version
+  delete file.content;
+  Object.assign(file, {
+    size, type, contentId, chunkCount, sha256, thumbnail: thumbnail || null, versionId: generateId(), author, modified: new Date().toISOString()
+  });
+  if (content !== undefined) {
+    file.content = content;
+  }
+}
+
+// The file a same-name upload into this folder would become a new version of
+export function findFileByName(tree, folderId, name) {
+  return tree.files.find(f => f.folderId === folderId && f.name === name) || null;
+}
+
+// Add stored content to a folder, either as a new file or as the new current
+// version of the file with the same name. Returns { file, newVersion }.
+export function addFileVersion(tree, { folderId, name, content, author }) {
+  const existing = findFileByName(tree, folderId, name);
+  if (existing) {
+    setCurrentVersion(existing, content, author);
+    return { file: existing, newVersion: true };
+  }
+
+  const now = new Date().toISOString();
+  const file = {
+    id: generateId(),
+    name,
+    size: content.size,
+    type: content.type,
+    contentId: content.contentId,
+    chunkCount: content.chunkCount,
+    sha256: content.sha256,
+    thumbnail: content.thumbnail || null,
+    versionId: generateId(),
+    author,
+    folderId,
+    modified: now,
+    created: now
+  };
+
+  tree.files.push(file);
+  return { file, newVersion: false };
+}
+
+// Look up an earlier version of a file or fail with 404
+export function requireVersion(file, versionId) {
+  const version = (file.versions || []).find(v => v.id === versionId);
+  if (!version) {
+    throw new HttpError(404, 'Version not found');
+  }
+  return version;
+}
+
+// A file's versions as the client sees them, newest (current) first
+export function listVersions(file) {
+  const versions = [
+    { ...currentVersionOf(file), id: file.versionId || null, current: true },
+    ...(file.versions || []).map(version => ({ ...version, current: false }))
+  ];
+  return versions.map(({ content, contentId, ...version }) => version);
+}
+
+// Make an earlier version current again. The restored content becomes a new
+// version on top, so the version it replaces stays in the history.
+export function restoreVersion(file, versionId, author) {
+  setCurrentVersion(file, requireVersion(file, versionId), author);
+  return file;
+}
+
+// Remove an earlier version from the history
+export function deleteVersion(file, versionId) {
+  requireVersion(file, versionId);
+  file.versions = file.versions.filter(v => v.id !== versionId);
+}
@@ -1,247 +1,479 @@
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-
-// In-memory store untuk rate limiting
-const rateLimitMap = new Map();
-
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-CSRF-Token');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  try {
-    const { action, storageId, password, deviceFingerprint } = req.body;
-
-    // Verify CSRF protection header
-    const csrfHeader = req.headers['x-csrf-token'];
-    if (!csrfHeader || !['create', 'login', 'verify'].includes(csrfHeader)) {
-      return res.status(401).json({ error: 'Invalid CSRF token' });
-    }
-
-    // Apply rate limiting based on IP and device fingerprint
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    if (isRateLimited(clientIP, deviceFingerprint)) {
-      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
-    }
-
-    if (action === 'create') {
-      // Validate input
-      if (!storageId || !password) {
-        return res.status(400).json({ error: 'Storage ID and password are required' });
-      }
-
-      // Check if storage already exists in JSONBin
-      const existingUser = await getStorageFromJSONBin(storageId);
-      if (existingUser) {
-        return res.status(409).json({ error: 'Storage ID already exists' });
-      }
-
-      // Hash password
-      const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-      // Create user storage data
-      const userData = {
-        password: hashedPassword,
-        createdAt: new Date().toISOString(),
-        storage: {
-          files: [],
-          folders: [
-            {
-              id: 'root',
-              name: 'Home',
-              path: '/',
-              children: []
-            }
-          ]
-        }
-      };
-
-      // Save to JSONBin
-      const saveSuccess = await saveStorageToJSONBin(storageId, userData);
-      if (!saveSuccess) {
-        return res.status(500).json({ error: 'Failed to create storage' });
-      }
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          storageId,
-          exp: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60) // 7 days
-        }, 
-        process.env.JWT_SECRET || 'fallback-secret-for-development'
-      );
-
-      // Set token in HTTP-only cookie
-      res.setHeader('Set-Cookie', `token=${token}; HttpOnly; Path=/; SameSite=Strict; Max-Age=604800${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`);
-
-      return res.status(200).json({ message: 'Storage created successfully' });
-    }
-
-    if (action === 'login') {
-      // Validate input
-      if (!storageId || !password) {
-        return res.status(400).json({ error: 'Storage ID and password are required' });
-      }
-
-      // Check if storage exists in JSONBin
-      const userData = await getStorageFromJSONBin(storageId);
-      if (!userData) {
-        return res.status(401).json({ error: 'Invalid storage ID or password' });
-      }
-
-      // Verify password
-      const passwordMatch = await bcrypt.compare(password, userData.password);
-      if (!passwordMatch) {
-        return res.status(401).json({ error: 'Invalid storage ID or password' });
-      }
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          storageId,
-          exp: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60) // 7 days
-        }, 
-        process.env.JWT_SECRET || 'fallback-secret-for-development'
-      );
-
-      // Set token in HTTP-only cookie
-      res.setHeader('Set-Cookie', `token=${token}; HttpOnly; Path=/; SameSite=Strict; Max-Age=604800${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`);
-
-      return res.status(200).json({ message: 'Login successful' });
-    }
-
-    if (action === 'verify') {
-      // Verify JWT token from cookie
-      const token = req.cookies.token;
-      if (!token) {
-        return res.status(401).json({ error: 'Not authenticated' });
-      }
-
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-for-development');
-        
-        // Check if storage still exists in JSONBin
-        const userData = await getStorageFromJSONBin(decoded.storageId);
-        if (!userData) {
-          return res.status(401).json({ error: 'Storage not found' });
-        }
-
-        return res.status(200).json({ message: 'Authenticated', storageId: decoded.storageId });
-      } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
-      }
-    }
-
-    return res.status(400).json({ error: 'Invalid action' });
-  } catch (error) {
-    console.error('Auth API error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-}
-
-// Function to get storage data from JSONBin
-async function getStorageFromJSONBin(storageId) {
-  try {
-    const response = await fetch(`https://api.jsonbin.io/v3/b/${storageId}`, {
-      method: 'GET',
-      headers: {
-        'X-Master-Key': process.env.JSONBIN_KEY,
-        'X-Bin-Meta': false
-      }
-    });
-
-    if (response.status === 404) {
-      return null; // Storage not found
-    }
-
-    if (!response.ok) {
-      throw new Error(`JSONBin error: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Error getting storage from JSONBin:', error);
-    return null;
-  }
-}
-
-// Function to save storage data to JSONBin
-async function saveStorageToJSONBin(storageId, data) {
-  try {
-    // First try to create a new bin
-    const createResponse = await fetch('https://api.jsonbin.io/v3/b', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Master-Key': process.env.JSONBIN_KEY,
-        'X-Bin-Name': storageId,
-        'X-Bin-Private': true
-      },
-      body: JSON.stringify(data)
-    });
-
-    if (createResponse.ok) {
-      return true;
-    }
-
-    // If create fails (maybe bin already exists), try to update
-    const updateResponse = await fetch(`https://api.jsonbin.io/v3/b/${storageId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Master-Key': process.env.JSONBIN_KEY
-      },
-      body: JSON.stringify(data)
-    });
-
-    return updateResponse.ok;
-  } catch (error) {
-    console.error('Error saving storage to JSONBin:', error);
-    return false;
-  }
-}
-
-// Simple rate limiting implementation
-function isRateLimited(ip, deviceFingerprint) {
-  const key = `${ip}:${JSON.stringify(deviceFingerprint)}`;
-  const now = Date.now();
-  const windowStart = now - 3600000; // 1 hour window
-
-  // Clean up old entries
-  for (const [key, timestamps] of rateLimitMap.entries()) {
-    const recent = timestamps.filter(timestamp => timestamp > windowStart);
-    if (recent.length === 0) {
-      rateLimitMap.delete(key);
-    } else {
-      rateLimitMap.set(key, recent);
-    }
-  }
-
-  // Get or create entry for this key
-  let timestamps = rateLimitMap.get(key) || [];
-  timestamps = timestamps.filter(timestamp => timestamp > windowStart);
-  
-  // Check if over limit (60 requests per hour)
-  if (timestamps.length >= 60) {
-    return true;
-  }
-
-  // Add current timestamp
-  timestamps.push(now);
-  rateLimitMap.set(key, timestamps);
-  
-  return false;
-}
+import bcrypt from 'bcryptjs';
+import { getStorageAdapter } from './_lib/storage.js';
+import { createStorageDocument, loadStorageDocument, saveStorageDocument, commitStorageDocument } from './_lib/schema.js';
+import {
+  createSession,
+  createPartialToken,
+  verifyPartialToken,
+  setSessionCookie,
+  clearSessionCookie,
+  verifySessionToken,
+  requireSession,
+  touchSession,
+  revokeSessions,
+  toClientSessions,
+  getClientIP
+} from './_lib/session.js';
+import { generateRecoveryCodes, hashRecoveryCode, consumeRecoveryCode } from './_lib/recovery.js';
+import { generateTotpSecret, verifyTotp, totpUri } from './_lib/totp.js';
+import {
+  checkRateLimit,
+  consumeRateLimit,
+  recordFailure,
+  resetRateLimit,
+  setRateLimitHeaders,
+  assertAllowed
+} from './_lib/ratelimit.js';
+import { verifyCsrf } from './_lib/csrf.js';
+import { applyCors } from './_lib/cors.js';
+import { collectContentRefs, deleteContent } from './_lib/content.js';
+import { deleteUploadData } from './_lib/uploads.js';
+import { shareKey } from './_lib/shares.js';
+import { searchIndexKey } from './_lib/search.js';
+import { removeGrantsFor, removeSharedWithMe, updateLinkedStorage } from './_lib/permissions.js';
+import { HttpError } from './_lib/errors.js';
+
+// bcrypt cost factor for password hashes
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+// Issuer name shown in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CloudStorage Enchanted++';
+
+export default async function handler(req, res) {
+  // Set CORS headers, refusing origins outside the allowlist
+  if (!applyCors(req, res, 'POST, OPTIONS')) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const storage = getStorageAdapter();
+
+    const {
+      action,
+      storageId,
+      password,
+      sessionId,
+      exceptCurrent,
+      currentPassword,
+      newPassword,
+      recoveryCode,
+      partialToken,
+      code
+    } = req.body;
+
+    // Verify the double-submitted CSRF token (bound to the session further down)
+    verifyCsrf(req);
+
+    // Apply the general per-IP rate limit
+    const clientIP = getClientIP(req);
+    assertAllowed(res, await consumeRateLimit('api', clientIP));
+
+    if (action === 'create') {
+      // Validate input
+      if (!storageId || !password) {
+        return res.status(400).json({ error: 'Storage ID and password are required' });
+      }
+
+      // File content is stored under "<storageId>:..." keys, so IDs must not contain ":"
+      if (String(storageId).includes(':')) {
+        return res.status(400).json({ error: 'Storage ID cannot contain ":"' });
+      }
+
+      // Check if storage already exists
+      const existingUser = await storage.get(storageId);
+      if (existingUser) {
+        return res.status(409).json({ error: 'Storage ID already exists' });
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+      // One-time recovery codes; only their hashes are kept
+      const recoveryCodes = generateRecoveryCodes();
+
+      // Create user storage data, already signed in on this device
+      const userData = createStorageDocument(hashedPassword, recoveryCodes.map(hashRecoveryCode));
+      const { session, token } = createSession(userData, storageId, req);
+
+      // Save the new storage document
+      const saveSuccess = await storage.create(storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to create storage' });
+      }
+
+      setSessionCookie(res, token, session);
+
+      // The plain codes are returned this once and never again
+      return res.status(200).json({ message: 'Storage created successfully', recoveryCodes });
+    }
+
+    if (action === 'login') {
+      // Validate input
+      if (!storageId || !password) {
+        return res.status(400).json({ error: 'Storage ID and password are required' });
+      }
+
+      // Refuse while this storage ID or IP is locked out after failed attempts
+      await assertLoginAllowed(res, storageId, clientIP);
+
+      // Check if storage exists
+      const userData = await loadStorageDocument(storage, storageId);
+      if (!userData) {
+        await recordLoginFailure(res, storageId, clientIP);
+        return res.status(401).json({ error: 'Invalid storage ID or password' });
+      }
+
+      // Verify password
+      const passwordMatch = await bcrypt.compare(password, userData.account.password);
+      if (!passwordMatch) {
+        await recordLoginFailure(res, storageId, clientIP);
+        return res.status(401).json({ error: 'Invalid storage ID or password' });
+      }
+
+      // With two-factor enabled the password alone only earns a partial token.
+      // Failed attempts keep counting until a session is issued, so knowing the
+      // password does not buy unlimited guesses at the code.
+      if (userData.account.totp && userData.account.totp.confirmed) {
+        return res.status(200).json({
+          message: 'Authentication code required',
+          twoFactorRequired: true,
+          partialToken: createPartialToken(storageId)
+        });
+      }
+
+      // Register the session and hand out its token (this also rotates the CSRF token)
+      const { session, token } = createSession(userData, storageId, req);
+      const saveSuccess = await saveStorageDocument(storage, storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to start session' });
+      }
+      await resetRateLimit('loginStorage', storageId);
+
+      setSessionCookie(res, token, session);
+
+      return res.status(200).json({ message: 'Login successful' });
+    }
+
+    if (action === 'loginTotp') {
+      // Second login step: trade the partial token and a current code for a session
+      if (!partialToken || !code) {
+        return res.status(400).json({ error: 'Authentication code is required' });
+      }
+
+      const partial = verifyPartialToken(partialToken);
+      await assertLoginAllowed(res, partial.storageId, clientIP);
+
+      const userData = await loadStorageDocument(storage, partial.storageId);
+      const totp = userData && userData.account.totp;
+      if (!totp || !totp.confirmed) {
+        return res.status(401).json({ error: 'Login expired, please enter your password again' });
+      }
+
+      const step = verifyTotp(totp.secret, code, { lastStep: totp.lastStep });
+      if (step === null) {
+        await recordLoginFailure(res, partial.storageId, clientIP);
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+      totp.lastStep = step;
+
+      const { session, token } = createSession(userData, partial.storageId, req);
+      const saveSuccess = await saveStorageDocument(storage, partial.storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to start session' });
+      }
+      await resetRateLimit('loginStorage', partial.storageId);
+
+      setSessionCookie(res, token, session);
+
+      return res.status(200).json({ message: 'Login successful' });
+    }
+
+    if (action === 'resetPassword') {
+      // Set a new password using one of the storage's recovery codes
+      if (!storageId || !recoveryCode || !newPassword) {
+        return res.status(400).json({ error: 'Storage ID, recovery code and new password are required' });
+      }
+
+      await assertLoginAllowed(res, storageId, clientIP);
+
+      const userData = await loadStorageDocument(storage, storageId);
+      if (!userData || !consumeRecoveryCode(userData.account, recoveryCode)) {
+        await recordLoginFailure(res, storageId, clientIP);
+        return res.status(401).json({ error: 'Invalid storage ID or recovery code' });
+      }
+      await resetRateLimit('loginStorage', storageId);
+
+      // Whoever knew the old password is signed out everywhere. Recovery codes
+      // also stand in for a lost authenticator, so two-factor is switched off.
+      userData.account.password = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+      userData.account.totp = null;
+      revokeSessions(userData, () => true);
+
+      const saveSuccess = await saveStorageDocument(storage, storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to reset password' });
+      }
+
+      return res.status(200).json({
+        message: 'Password reset successfully',
+        remainingCodes: userData.account.recoveryCodes.length
+      });
+    }
+
+    if (action === 'logout') {
+      // End this session on the server and clear the cookie, even if the token is already invalid
+      clearSessionCookie(res);
+
+      try {
+        const decoded = verifySessionToken(req);
+        const userData = await loadStorageDocument(storage, decoded.storageId);
+        if (userData) {
+          await commitStorageDocument(storage, decoded.storageId, userData, doc => revokeSessions(doc, s => s.id === decoded.sid) > 0);
+        }
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+      }
+
+      return res.status(200).json({ message: 'Logged out' });
+    }
+
+    // Everything below requires a live session
+    const decoded = verifySessionToken(req);
+    const userData = await loadStorageDocument(storage, decoded.storageId);
+    if (!userData) {
+      return res.status(401).json({ error: 'Storage not found' });
+    }
+    const session = requireSession(userData, decoded);
+    verifyCsrf(req, session.id);
+
+    if (action === 'verify') {
+      // Confirm the session is still valid and record the activity
+      await commitStorageDocument(storage, decoded.storageId, userData, doc => touchSession(requireSession(doc, decoded), req));
+
+      return res.status(200).json({ message: 'Authenticated', storageId: decoded.storageId });
+    }
+
+    if (action === 'getAccount') {
+      // Account details for the settings page
+      return res.status(200).json({
+        storageId: decoded.storageId,
+        createdAt: userData.account.createdAt,
+        recoveryCodesRemaining: (userData.account.recoveryCodes || []).length,
+        twoFactorEnabled: Boolean(userData.account.totp && userData.account.totp.confirmed)
+      });
+    }
+
+    if (action === 'setupTotp') {
+      // Start two-factor enrollment with a new secret; it only takes effect once confirmed
+      if (userData.account.totp && userData.account.totp.confirmed) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      const secret = generateTotpSecret();
+      userData.account.totp = { secret, confirmed: false, lastStep: null };
+
+      const saveSuccess = await saveStorageDocument(storage, decoded.storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to start two-factor setup' });
+      }
+
+      return res.status(200).json({
+        secret,
+        uri: totpUri(secret, { issuer: TOTP_ISSUER, account: decoded.storageId })
+      });
+    }
+
+    if (action === 'confirmTotp' || action === 'disableTotp') {
+      // Both need a current code from the authenticator
+      const totp = userData.account.totp;
+      const enrolling = action === 'confirmTotp';
+      if (!totp) {
+        return res.status(409).json({
+          error: enrolling ? 'Two-factor setup has not been started' : 'Two-factor authentication is not enabled'
+        });
+      }
+      if (totp.confirmed === enrolling) {
+        return res.status(409).json({
+          error: enrolling ? 'Two-factor authentication is already enabled' : 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const step = verifyTotp(totp.secret, code, { lastStep: totp.lastStep });
+      if (step === null) {
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+
+      userData.account.totp = enrolling ? { ...totp, confirmed: true, lastStep: step } : null;
+
+      const saveSuccess = await saveStorageDocument(storage, decoded.storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to update two-factor authentication' });
+      }
+
+      return res.status(200).json({
+        message: enrolling ? 'Two-factor authentication enabled' : 'Two-factor authentication disabled'
+      });
+    }
+
+    if (action === 'changePassword') {
+      // Replace the password after confirming the current one
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'Current and new password are required' });
+      }
+
+      const passwordMatch = await bcrypt.compare(currentPassword, userData.account.password);
+      if (!passwordMatch) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      userData.account.password = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+
+      // Keep this device signed in, sign out every other one
+      const revoked = revokeSessions(userData, s => s.id !== session.id);
+
+      const saveSuccess = await saveStorageDocument(storage, decoded.storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to change password' });
+      }
+
+      return res.status(200).json({ message: 'Password changed successfully', revoked });
+    }
+
+    if (action === 'regenerateRecoveryCodes') {
+      // Replace all recovery codes; the old ones stop working
+      if (!password) {
+        return res.status(400).json({ error: 'Password is required' });
+      }
+
+      const passwordMatch = await bcrypt.compare(password, userData.account.password);
+      if (!passwordMatch) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      userData.account.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+
+      const saveSuccess = await saveStorageDocument(storage, decoded.storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to generate recovery codes' });
+      }
+
+      return res.status(200).json({ recoveryCodes });
+    }
+
+    if (action === 'deleteAccount') {
+      // Remove the storage document and everything in it for good
+      if (!password) {
+        return res.status(400).json({ error: 'Password is required' });
+      }
+
+      const passwordMatch = await bcrypt.compare(password, userData.account.password);
+      if (!passwordMatch) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+
+      // Delete the document first so a half-finished cleanup never leaves a usable account
+      const deleteSuccess = await storage.delete(decoded.storageId);
+      if (!deleteSuccess) {
+        return res.status(500).json({ error: 'Failed to delete storage' });
+      }
+
+      // Then the file content (live files and trash), the search index, any unfinished uploads and the share link pointers
+      for (const [contentId, chunkCount] of collectContentRefs(userData.tree)) {
+        await deleteContent(storage, decoded.storageId, contentId, chunkCount);
+      }
+      await storage.delete(searchIndexKey(decoded.storageId));
+      for (const upload of userData.uploads || []) {
+        await deleteUploadData(storage, decoded.storageId, upload);
+      }
+      for (const share of userData.shares || []) {
+        await storage.delete(shareKey(share.token));
+      }
+
+      // Grants to this storage go away so a new storage with the same ID cannot
+      // inherit them, and folders it shared leave its grantees' lists
+      for (const ownerId of new Set((userData.sharedWithMe || []).map(entry => entry.ownerId))) {
+        await updateLinkedStorage(storage, ownerId, (doc) => removeGrantsFor(doc, decoded.storageId));
+      }
+      for (const grant of userData.grants || []) {
+        await updateLinkedStorage(storage, grant.storageId, (doc) => removeSharedWithMe(doc, grant.id));
+      }
+
+      clearSessionCookie(res);
+
+      return res.status(200).json({ message: 'Storage deleted' });
+    }
+
+    if (action === 'listSessions') {
+      // List the devices signed in to this storage
+      return res.status(200).json({ sessions: toClientSessions(userData, session.id) });
+    }
+
+    if (action === 'revokeSession' || action === 'revokeAllSessions') {
+      // Sign out one session, or all of them (optionally keeping this one)
+      if (action === 'revokeSession' && !sessionId) {
+        return res.status(400).json({ error: 'Session ID is required' });
+      }
+
+      const matches = action === 'revokeSession'
+        ? (s) => s.id === sessionId
+        : (s) => !(exceptCurrent && s.id === session.id);
+
+      const revoked = revokeSessions(userData, matches);
+      if (action === 'revokeSession' && revoked === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const saveSuccess = await saveStorageDocument(storage, decoded.storageId, userData);
+      if (!saveSuccess) {
+        return res.status(500).json({ error: 'Failed to revoke sessions' });
+      }
+
+      // Revoking the session this request came from logs this browser out too
+      const signedOut = !userData.account.sessions.some(s => s.id === session.id);
+      if (signedOut) {
+        clearSessionCookie(res);
+      }
+
+      return res.status(200).json({ message: 'Sessions revoked', revoked, signedOut });
+    }
+
+    return res.status(400).json({ error: 'Invalid action' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Auth API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const LOCKED_OUT_MESSAGE = 'Too many failed attempts. Please try again later.';
+
+// Refuse a login step while the storage ID or the IP is locked out
+async function assertLoginAllowed(res, storageId, ip) {
+  assertAllowed(res, await checkRateLimit('loginIP', ip), LOCKED_OUT_MESSAGE);
+  assertAllowed(res, await checkRateLimit('loginStorage', storageId), LOCKED_OUT_MESSAGE);
+}
+
+// Count a failed login step against both the storage ID and the IP
+async function recordLoginFailure(res, storageId, ip) {
+  const results = [
+    await recordFailure('loginStorage', storageId),
+    await recordFailure('loginIP', ip)
+  ];
+
+  // Report whichever limit is closer to locking
+  const tightest = results.find(r => !r.allowed) || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  setRateLimitHeaders(res, tightest);
+}
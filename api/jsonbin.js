@@ -1,264 +1,1005 @@
-import jwt from 'jsonwebtoken';
-
-// In-memory store untuk rate limiting
-const rateLimitMap = new Map();
-
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-CSRF-Token');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  try {
-    // Verify JWT token from cookie
-    const token = req.cookies.token;
-    if (!token) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-for-development');
-    } catch (error) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // Verify CSRF protection header
-    const csrfHeader = req.headers['x-csrf-token'];
-    if (!csrfHeader || !['read', 'write', 'delete'].includes(csrfHeader)) {
-      return res.status(401).json({ error: 'Invalid CSRF token' });
-    }
-
-    const { action, data, fileId, folderId, newName, itemType } = req.body;
-    const { storageId } = decoded;
-
-    // Apply rate limiting based on IP
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    if (isRateLimited(clientIP)) {
-      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
-    }
-
-    // Get user storage from JSONBin
-    const userStorage = await getStorageFromJSONBin(storageId);
-    if (!userStorage) {
-      return res.status(404).json({ error: 'Storage not found' });
-    }
-
-    if (action === 'getStorage') {
-      // Get user's storage data
-      return res.status(200).json(userStorage);
-    }
-
-    if (action === 'updateStorage') {
-      // Update user's storage data
-      if (!data) {
-        return res.status(400).json({ error: 'Data is required' });
-      }
-
-      const saveSuccess = await saveStorageToJSONBin(storageId, data);
-      if (!saveSuccess) {
-        return res.status(500).json({ error: 'Failed to update storage' });
-      }
-
-      return res.status(200).json({ message: 'Storage updated successfully' });
-    }
-
-    if (action === 'addFile') {
-      // Add a new file to storage
-      if (!data) {
-        return res.status(400).json({ error: 'File data is required' });
-      }
-
-      userStorage.files.push({
-        id: Date.now().toString(),
-        name: data.name,
-        size: data.size,
-        type: data.type,
-        content: data.content, // Base64 encoded content
-        folderId: folderId || 'root',
-        modified: new Date().toISOString(),
-        created: new Date().toISOString()
-      });
-
-      const saveSuccess = await saveStorageToJSONBin(storageId, userStorage);
-      if (!saveSuccess) {
-        return res.status(500).json({ error: 'Failed to add file' });
-      }
-
-      return res.status(200).json({ message: 'File added successfully' });
-    }
-
-    if (action === 'addFolder') {
-      // Add a new folder to storage
-      if (!data || !data.name) {
-        return res.status(400).json({ error: 'Folder name is required' });
-      }
-
-      const newFolder = {
-        id: Date.now().toString(),
-        name: data.name,
-        path: data.path || '/',
-        parentId: folderId || 'root',
-        children: [],
-        modified: new Date().toISOString(),
-        created: new Date().toISOString()
-      };
-
-      userStorage.folders.push(newFolder);
-      const saveSuccess = await saveStorageToJSONBin(storageId, userStorage);
-      if (!saveSuccess) {
-        return res.status(500).json({ error: 'Failed to add folder' });
-      }
-
-      return res.status(200).json({ message: 'Folder added successfully', folder: newFolder });
-    }
-
-    if (action === 'renameItem') {
-      // Rename a file or folder
-      if (!itemType || !fileId || !newName) {
-        return res.status(400).json({ error: 'Item type, ID and new name are required' });
-      }
-
-      if (itemType === 'file') {
-        const fileIndex = userStorage.files.findIndex(f => f.id === fileId);
-        if (fileIndex === -1) {
-          return res.status(404).json({ error: 'File not found' });
-        }
-        userStorage.files[fileIndex].name = newName;
-        userStorage.files[fileIndex].modified = new Date().toISOString();
-      } else if (itemType === 'folder') {
-        const folderIndex = userStorage.folders.findIndex(f => f.id === fileId);
-        if (folderIndex === -1) {
-          return res.status(404).json({ error: 'Folder not found' });
-        }
-        userStorage.folders[folderIndex].name = newName;
-        userStorage.folders[folderIndex].modified = new Date().toISOString();
-      } else {
-        return res.status(400).json({ error: 'Invalid item type' });
-      }
-
-      const saveSuccess = await saveStorageToJSONBin(storageId, userStorage);
-      if (!saveSuccess) {
-        return res.status(500).json({ error: 'Failed to rename item' });
-      }
-
-      return res.status(200).json({ message: 'Item renamed successfully' });
-    }
-
-    if (action === 'deleteItem') {
-      // Delete a file or folder
-      if (!itemType || !fileId) {
-        return res.status(400).json({ error: 'Item type and ID are required' });
-      }
-
-      if (itemType === 'file') {
-        userStorage.files = userStorage.files.filter(f => f.id !== fileId);
-      } else if (itemType === 'folder') {
-        // Also remove all files in this folder
-        userStorage.files = userStorage.files.filter(f => f.folderId !== fileId);
-        userStorage.folders = userStorage.folders.filter(f => f.id !== fileId);
-      } else {
-        return res.status(400).json({ error: 'Invalid item type' });
-      }
-
-      const saveSuccess = await saveStorageToJSONBin(storageId, userStorage);
-      if (!saveSuccess) {
-        return res.status(500).json({ error: 'Failed to delete item' });
-      }
-
-      return res.status(200).json({ message: 'Item deleted successfully' });
-    }
-
-    return res.status(400).json({ error: 'Invalid action' });
-  } catch (error) {
-    console.error('JSONBin API error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-}
-
-// Function to get storage data from JSONBin
-async function getStorageFromJSONBin(storageId) {
-  try {
-    const response = await fetch(`https://api.jsonbin.io/v3/b/${storageId}`, {
-      method: 'GET',
-      headers: {
-        'X-Master-Key': process.env.JSONBIN_KEY,
-        'X-Bin-Meta': false
-      }
-    });
-
-    if (response.status === 404) {
-      return null; // Storage not found
-    }
-
-    if (!response.ok) {
-      throw new Error(`JSONBin error: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Error getting storage from JSONBin:', error);
-    return null;
-  }
-}
-
-// Function to save storage data to JSONBin
-async function saveStorageToJSONBin(storageId, data) {
-  try {
-    const response = await fetch(`https://api.jsonbin.io/v3/b/${storageId}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Master-Key': process.env.JSONBIN_KEY
-      },
-      body: JSON.stringify(data)
-    });
-
-    return response.ok;
-  } catch (error) {
-    console.error('Error saving storage to JSONBin:', error);
-    return false;
-  }
-}
-
-// Simple rate limiting implementation
-function isRateLimited(ip) {
-  const now = Date.now();
-  const windowStart = now - 3600000; // 1 hour window
-
-  // Clean up old entries
-  for (const [ip, timestamps] of rateLimitMap.entries()) {
-    const recent = timestamps.filter(timestamp => timestamp > windowStart);
-    if (recent.length === 0) {
-      rateLimitMap.delete(ip);
-    } else {
-      rateLimitMap.set(ip, recent);
-    }
-  }
-
-  // Get or create entry for this IP
-  let timestamps = rateLimitMap.get(ip) || [];
-  timestamps = timestamps.filter(timestamp => timestamp > windowStart);
-  
-  // Check if over limit (120 requests per hour)
-  if (timestamps.length >= 120) {
-    return true;
-  }
-
-  // Add current timestamp
-  timestamps.push(now);
-  rateLimitMap.set(ip, timestamps);
-  
-  return false;
-}
+import { createHash } from 'crypto';
+import { getStorageAdapter } from './_lib/storage.js';
+import { loadStorageDocument, commitStorageDocument } from './_lib/schema.js';
+import { validateName, requireFolder, findFolder, toClientTree, toClientFile, treeEtag, applyTreeUpdate, getRemovalSummary, moveItem, copyItem, renameItem, generateId } from './_lib/tree.js';
+import { moveToTrash, restoreFromTrash, purgeTrashEntry, emptyTrash, purgeExpiredTrash, toClientTrash, TRASH_RETENTION_DAYS } from './_lib/trash.js';
+import { getUsage, getQuota, assertWithinQuota } from './_lib/quota.js';
+import { findFileByName, addFileVersion, requireVersion, listVersions, restoreVersion, deleteVersion, FILE_VERSION_LIMIT } from './_lib/versions.js';
+import {
+  UPLOAD_CHUNK_SIZE,
+  writeChunk,
+  deleteContent,
+  getChunkCount,
+  readFileChunk,
+  readFileContent,
+  readFileRange,
+  collectContentRefs,
+  deleteOrphanedContent,
+  buildBlobIndex,
+  findBlob,
+  contentDisposition
+} from './_lib/content.js';
+import {
+  createUpload,
+  registerUpload,
+  unregisterUpload,
+  requireUpload,
+  storeUploadChunk,
+  verifyUpload,
+  deleteUploadData,
+  purgeExpiredUploads
+} from './_lib/uploads.js';
+import { shareKey, prepareShareOptions, createShare, removeShare, toClientShares } from './_lib/shares.js';
+import {
+  SEARCH_INDEX_BATCH,
+  isTextLike,
+  textKey,
+  extractWords,
+  readFileWords,
+  loadSearchIndex,
+  updateSearchIndex,
+  findUnindexedFiles,
+  prepareSearch,
+  runSearch
+} from './_lib/search.js';
+import { ensureThumbnail, readThumbnail } from './_lib/thumbnails.js';
+import {
+  ROLES,
+  ACTION_ROLES,
+  roleAtLeast,
+  requireActionRole,
+  requireRole,
+  resolveRole,
+  grantRootFolderId,
+  containingFolderId,
+  grantAccess,
+  revokeAccess,
+  addSharedWithMe,
+  removeSharedWithMe,
+  listFolderGrants,
+  toSharedTree,
+  updateLinkedStorage
+} from './_lib/permissions.js';
+import { verifySessionToken, requireSession, touchSession, getClientIP } from './_lib/session.js';
+import { consumeRateLimit, assertAllowed } from './_lib/ratelimit.js';
+import { verifyCsrf } from './_lib/csrf.js';
+import { applyCors } from './_lib/cors.js';
+import { HttpError } from './_lib/errors.js';
+
+// Maximum size of a single uploaded file (default 100MB)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 100 * 1024 * 1024;
+
+// Largest file addFile takes inline as base64 (default one upload chunk). Bigger
+// files go through the resumable upload: uploadInit, uploadChunk, uploadFinalize.
+const MAX_INLINE_FILE_SIZE = Math.min(parseInt(process.env.MAX_INLINE_FILE_SIZE, 10) || UPLOAD_CHUNK_SIZE, MAX_FILE_SIZE);
+
+// Most bytes one ranged getFile response carries; audio and video players ask for the rest as they play
+const MAX_RANGE_LENGTH = 2 * UPLOAD_CHUNK_SIZE;
+
+export default async function handler(req, res) {
+  // Set CORS headers, refusing origins outside the allowlist
+  if (!applyCors(req, res, 'GET, POST, PUT, OPTIONS')) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests, plus GET for file downloads and PUT for upload chunks
+  if (!['POST', 'GET', 'PUT'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const storage = getStorageAdapter();
+
+    // Verify JWT token from cookie
+    const decoded = verifySessionToken(req);
+
+    // Verify the CSRF token bound to this session (GET requests are read-only downloads and thumbnails)
+    if (req.method !== 'GET') {
+      verifyCsrf(req, decoded.sid);
+    }
+
+    const {
+      action,
+      data,
+      fileId,
+      folderId,
+      newName,
+      itemType,
+      targetFolderId,
+      conflictPolicy,
+      trashId,
+      uploadId,
+      versionId,
+      shareId,
+      ownerId,
+      grantId,
+      index,
+      part
+    } = req.method === 'GET' ? req.query : req.body;
+    if ((req.method === 'GET' && !['getFile', 'getThumbnail'].includes(action)) || (req.method === 'PUT' && action !== 'uploadChunk')) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const { storageId: accountId } = decoded;
+
+    // Apply the per-IP rate limit; chunks, downloads and thumbnails count separately
+    const rateLimitPolicy = ['uploadChunk', 'getFile', 'getThumbnail'].includes(action) ? 'transfer' : 'api';
+    assertAllowed(res, await consumeRateLimit(rateLimitPolicy, getClientIP(req)));
+
+    // Get the caller's own storage document
+    let accountStorage = await loadStorageDocument(storage, accountId);
+    if (!accountStorage) {
+      return res.status(404).json({ error: 'Storage not found' });
+    }
+
+    // Reject tokens whose session was revoked (logout, "sign out everywhere", ...)
+    const session = requireSession(accountStorage, decoded);
+
+    // Save a change to a storage document with compare-and-swap. `mutate` changes
+    // the document it is given (and only that; reading the loaded copy inside it
+    // would see stale data after a retry). Blob reference counts are rebuilt
+    // before every write. Once the save went through, content no file refers to
+    // anymore (purged trash, dropped versions, ...) is deleted and the search
+    // index follows the tree, with the `words` of text files the change stored
+    // ({ <textKey>: [words] }).
+    const save = async (docId, doc, mutate, words = {}) => {
+      let contentRefs;
+      const outcome = await commitStorageDocument(storage, docId, doc, async (current) => {
+        contentRefs = collectContentRefs(current.tree);
+        const result = await mutate(current);
+        if (result !== false) {
+          current.blobs = buildBlobIndex(current.tree);
+        }
+        return result;
+      });
+
+      if (outcome.saved) {
+        await deleteOrphanedContent(storage, docId, contentRefs, outcome.doc.tree);
+        // The change is saved either way; a search rebuilds an index left behind
+        if (!(await updateSearchIndex(storage, docId, outcome.doc.tree, outcome.doc.revision, words))) {
+          console.error(`Failed to update the search index of ${docId}`);
+        }
+      }
+      return outcome;
+    };
+
+    // Housekeeping: record session activity, permanently drop trash entries that
+    // outlived the retention period and clean up uploads that were never finished
+    let expiredUploads = [];
+    const housekeeping = await save(accountId, accountStorage, (doc) => {
+      const touched = touchSession(requireSession(doc, decoded), req);
+      const purgedTrash = purgeExpiredTrash(doc.tree).length > 0;
+      expiredUploads = purgeExpiredUploads(doc);
+      return touched || purgedTrash || expiredUploads.length > 0;
+    });
+    accountStorage = housekeeping.doc;
+    if (housekeeping.saved) {
+      for (const entry of expiredUploads) {
+        await deleteUploadData(storage, accountId, entry);
+      }
+    }
+
+    // With an ownerId the action works in a folder another storage shared with
+    // the caller. Only the actions in ACTION_ROLES are open to grantees, and
+    // each checks the caller's role on the folders it touches (see permissions.js).
+    const storageId = ownerId && ownerId !== accountId ? String(ownerId) : accountId;
+    const shared = storageId !== accountId;
+    let userStorage = accountStorage;
+    if (shared) {
+      requireActionRole(action);
+
+      // Storage IDs never contain ":", so no other kind of document can be opened this way
+      userStorage = storageId.includes(':') ? null : await loadStorageDocument(storage, storageId);
+      if (!userStorage) {
+        return res.status(403).json({ error: 'This folder is not shared with you' });
+      }
+    }
+
+    // Versions and grants record who made them; in a shared folder that includes the caller's storage ID
+    const author = shared ? `${accountId} (${session.device})` : session.device;
+
+    // Check the caller's role on a folder; the storage's own account may do anything
+    const authorize = (doc, folderId, role = ACTION_ROLES[action]) => {
+      if (shared) {
+        requireRole(doc, accountId, folderId, role);
+      }
+    };
+
+    // Stored content with a given hash and size that a new file may share. Not for
+    // grantees: the owner's blobs come from folders they may not see, and matching
+    // a hash would attach that content to their file (or tell them it exists).
+    const findReusableBlob = (doc, sha256, size) => (shared ? null : findBlob(doc, sha256, size));
+
+    // Save a change to the storage being worked on
+    const commit = async (mutate, words) => {
+      const outcome = await save(storageId, userStorage, mutate, words);
+      userStorage = outcome.doc;
+      return outcome;
+    };
+
+    if (action === 'getStorage' && shared) {
+      // Get a shared folder and everything below it, with the caller's role on it
+      if (!folderId) {
+        return res.status(400).json({ error: 'Folder ID is required' });
+      }
+      authorize(userStorage, folderId);
+      const folder = requireFolder(userStorage.tree, folderId);
+
+      return res.status(200).json({
+        ...toClientTree(toSharedTree(userStorage.tree, folder.id)),
+        sharedFolder: { ownerId: storageId, folderId: folder.id, name: folder.name, role: resolveRole(userStorage, accountId, folder.id) },
+        limits: { maxFileSize: MAX_FILE_SIZE, maxInlineFileSize: MAX_INLINE_FILE_SIZE, chunkSize: UPLOAD_CHUNK_SIZE }
+      });
+    }
+
+    if (action === 'getStorage') {
+      // Get the user's file tree along with the limits the client should enforce.
+      // File content is left out; it is fetched one file at a time through getFile.
+      // The ETag identifies this state of the tree for updateStorage.
+      const etag = treeEtag(userStorage.tree);
+      res.setHeader('ETag', etag);
+      return res.status(200).json({
+        ...toClientTree(userStorage.tree),
+        etag,
+        limits: { maxFileSize: MAX_FILE_SIZE, maxInlineFileSize: MAX_INLINE_FILE_SIZE, chunkSize: UPLOAD_CHUNK_SIZE },
+        usage: getUsage(userStorage.tree),
+        quota: getQuota()
+      });
+    }
+
+    if (action === 'getFile') {
+      // Send one file's stored bytes, or a single chunk of them when `part` is given.
+      // With a versionId the bytes of that earlier version are sent instead. A Range
+      // header gets just those bytes, so previews can stream audio and video.
+      if (!fileId) {
+        return res.status(400).json({ error: 'File ID is required' });
+      }
+
+      const file = userStorage.tree.files.find(f => f.id === fileId);
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      authorize(userStorage, file.folderId);
+      const source = versionId ? requireVersion(file, versionId) : file;
+
+      const range = part === undefined ? parseRange(req.headers.range, source.size) : null;
+      if (range === false) {
+        res.setHeader('Content-Range', `bytes */${source.size}`);
+        return res.status(416).json({ error: 'Requested range is outside the file' });
+      }
+
+      let buffer;
+      if (range) {
+        buffer = await readFileRange(storage, storageId, source, range.start, range.end);
+      } else if (part === undefined) {
+        buffer = await readFileContent(storage, storageId, source);
+      } else {
+        buffer = await readFileChunk(storage, storageId, source, Number(part));
+      }
+      if (!buffer) {
+        return res.status(404).json({ error: 'File content not found' });
+      }
+
+      if (range) {
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.start + buffer.length - 1}/${source.size}`);
+      }
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('X-Chunk-Count', getChunkCount(source));
+      res.setHeader('Content-Type', source.type || 'application/octet-stream');
+      res.setHeader('Content-Length', buffer.length);
+      res.setHeader('Content-Disposition', contentDisposition(file.name));
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.status(range ? 206 : 200).send(buffer);
+    }
+
+    if (action === 'getThumbnail') {
+      // Send the thumbnail of an image file, or of one of its versions. A content
+      // ID's thumbnail never changes, so browsers may keep it and revalidate by ETag.
+      if (!fileId) {
+        return res.status(400).json({ error: 'File ID is required' });
+      }
+
+      const file = userStorage.tree.files.find(f => f.id === fileId);
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      authorize(userStorage, file.folderId);
+      const source = versionId ? requireVersion(file, versionId) : file;
+      if (!source.thumbnail || !source.contentId) {
+        return res.status(404).json({ error: 'This file has no thumbnail' });
+      }
+
+      const etag = `"${source.contentId}"`;
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+      if (req.headers['if-none-match'] === etag) {
+        return res.status(304).end();
+      }
+
+      const thumbnail = await readThumbnail(storage, storageId, source.contentId);
+      if (!thumbnail) {
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.status(404).json({ error: 'Thumbnail not found' });
+      }
+
+      res.setHeader('Content-Type', thumbnail.type);
+      res.setHeader('Content-Length', thumbnail.buffer.length);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.status(200).send(thumbnail.buffer);
+    }
+
+    if (action === 'updateStorage') {
+      // Replace the file tree metadata; account data and file content are kept.
+      // A whole-tree replacement cannot be merged with other changes, so it has to
+      // name the tree it was based on (the ETag from getStorage, as If-Match or `etag`).
+      if (!data) {
+        return res.status(400).json({ error: 'Data is required' });
+      }
+
+      const expectedEtag = req.headers['if-match'] || req.body.etag;
+      if (!expectedEtag) {
+        return res.status(428).json({ error: 'The ETag of the tree being replaced is required (If-Match)' });
+      }
+
+      const { saved } = await commit((doc) => {
+        const currentEtag = treeEtag(doc.tree);
+        if (expectedEtag.replace(/^W\//, '') !== currentEtag) {
+          throw new HttpError(409, 'The files were changed by another request. Reload and try again.', { etag: currentEtag });
+        }
+        doc.tree = applyTreeUpdate(doc.tree, data);
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to update storage' });
+      }
+
+      const etag = treeEtag(userStorage.tree);
+      res.setHeader('ETag', etag);
+      return res.status(200).json({ message: 'Storage updated successfully', etag });
+    }
+
+    if (action === 'addFile') {
+      // Add a new file to storage
+      if (!data || !data.name || typeof data.content !== 'string') {
+        return res.status(400).json({ error: 'File name and content are required' });
+      }
+
+      const name = validateName(data.name);
+      const targetFolder = requireFolder(userStorage.tree, folderId || 'root');
+      authorize(userStorage, targetFolder.id);
+
+      // Measure the decoded content instead of trusting the client-reported size.
+      // Oversized bodies are refused before decoding them.
+      const buffer = data.content.length <= Math.ceil(MAX_INLINE_FILE_SIZE / 3) * 4 + 4 ? Buffer.from(data.content, 'base64') : null;
+      if (!buffer || buffer.length > MAX_INLINE_FILE_SIZE) {
+        return res.status(413).json({
+          error: `Files over ${MAX_INLINE_FILE_SIZE} bytes have to be sent with the resumable upload (uploadInit)`,
+          maxInlineFileSize: MAX_INLINE_FILE_SIZE
+        });
+      }
+
+      // Reuse stored content with the same hash, otherwise store it as chunks outside the document
+      const sha256 = createHash('sha256').update(buffer).digest('hex');
+      const existing = findReusableBlob(userStorage, sha256, buffer.length);
+      assertWithinQuota(userStorage.tree, {
+        bytes: existing ? 0 : buffer.length,
+        files: findFileByName(userStorage.tree, targetFolder.id, name) ? 0 : 1
+      });
+
+      const contentId = existing ? existing.contentId : generateId();
+      const chunkCount = existing ? existing.chunkCount : Math.max(1, Math.ceil(buffer.length / UPLOAD_CHUNK_SIZE));
+      for (let i = 0; !existing && i < chunkCount; i++) {
+        const chunk = buffer.subarray(i * UPLOAD_CHUNK_SIZE, (i + 1) * UPLOAD_CHUNK_SIZE);
+        if (!(await writeChunk(storage, storageId, contentId, i, chunk))) {
+          await deleteContent(storage, storageId, contentId, i);
+          return res.status(500).json({ error: 'Failed to add file' });
+        }
+      }
+
+      // A file with the same name in the folder gets this as its new version
+      const type = typeof data.type === 'string' && data.type ? data.type : 'application/octet-stream';
+      const words = isTextLike(name, type) ? { [sha256]: extractWords(buffer) } : {};
+      const thumbnail = await ensureThumbnail(storage, storageId, { contentId, type, size: buffer.length }, () => buffer);
+      const { saved, result } = await commit((doc) => {
+        const folder = requireFolder(doc.tree, targetFolder.id);
+        if (!existing) {
+          assertWithinQuota(doc.tree, { bytes: buffer.length, files: findFileByName(doc.tree, folder.id, name) ? 0 : 1 });
+        }
+        return addFileVersion(doc.tree, {
+          folderId: folder.id,
+          name,
+          content: { size: buffer.length, type, contentId, chunkCount, sha256, thumbnail },
+          author
+        });
+      }, words);
+      if (!saved) {
+        if (!existing) {
+          await deleteContent(storage, storageId, contentId, chunkCount);
+        }
+        return res.status(500).json({ error: 'Failed to add file' });
+      }
+
+      return res.status(200).json({
+        message: 'File added successfully',
+        newVersion: result.newVersion,
+        deduplicated: Boolean(existing),
+        file: toClientFile(result.file),
+        usage: getUsage(userStorage.tree)
+      });
+    }
+
+    if (action === 'uploadInit') {
+      // Start a resumable upload; the client then PUTs chunks and calls uploadFinalize
+      if (!data || !data.name) {
+        return res.status(400).json({ error: 'File name is required' });
+      }
+
+      const name = validateName(data.name);
+      const targetFolder = requireFolder(userStorage.tree, folderId || 'root');
+      authorize(userStorage, targetFolder.id);
+      const replaces = findFileByName(userStorage.tree, targetFolder.id, name);
+
+      if (data.size > MAX_FILE_SIZE) {
+        return res.status(413).json({ error: `File is too large (max ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))}MB)` });
+      }
+
+      // Content that is already stored needs no upload at all; the file just shares it
+      const type = typeof data.type === 'string' && data.type ? data.type : 'application/octet-stream';
+      const existing = findReusableBlob(userStorage, data.sha256, data.size);
+      if (existing) {
+        // Content stored before thumbnails existed gets one now
+        const thumbnail = await ensureThumbnail(storage, storageId, { ...existing, type },
+          () => readFileContent(storage, storageId, existing));
+        const { saved, result } = await commit((doc) => {
+          const folder = requireFolder(doc.tree, targetFolder.id);
+          assertWithinQuota(doc.tree, { files: findFileByName(doc.tree, folder.id, name) ? 0 : 1 });
+          return addFileVersion(doc.tree, {
+            folderId: folder.id,
+            name,
+            content: {
+              size: existing.size,
+              type,
+              contentId: existing.contentId,
+              chunkCount: existing.chunkCount,
+              sha256: data.sha256.toLowerCase(),
+              thumbnail
+            },
+            author
+          });
+        });
+        if (!saved) {
+          return res.status(500).json({ error: 'Failed to add file' });
+        }
+
+        return res.status(200).json({
+          message: 'File added successfully',
+          newVersion: result.newVersion,
+          deduplicated: true,
+          file: toClientFile(result.file),
+          usage: getUsage(userStorage.tree)
+        });
+      }
+      assertWithinQuota(userStorage.tree, { bytes: data.size || 0, files: replaces ? 0 : 1 });
+
+      const upload = await createUpload(storage, storageId, {
+        name,
+        type,
+        size: data.size,
+        sha256: data.sha256,
+        folderId: targetFolder.id
+      });
+
+      const { saved } = await commit((doc) => registerUpload(doc, upload));
+      if (!saved) {
+        await deleteUploadData(storage, storageId, upload);
+        return res.status(500).json({ error: 'Failed to start upload' });
+      }
+
+      return res.status(200).json({
+        uploadId: upload.id,
+        chunkSize: upload.chunkSize,
+        chunkCount: upload.chunkCount,
+        received: upload.received
+      });
+    }
+
+    if (action === 'uploadChunk') {
+      // Store one chunk of an open upload; sending the same chunk again is harmless
+      const upload = await requireUpload(storage, userStorage, storageId, uploadId);
+      authorize(userStorage, upload.folderId);
+      const updated = await storeUploadChunk(storage, storageId, upload, Number(index), data);
+
+      return res.status(200).json({ received: updated.received.length, chunkCount: updated.chunkCount });
+    }
+
+    if (action === 'uploadStatus') {
+      // Report which chunks arrived, so an interrupted upload can resume
+      const upload = await requireUpload(storage, userStorage, storageId, uploadId);
+      authorize(userStorage, upload.folderId);
+
+      return res.status(200).json({
+        uploadId: upload.id,
+        name: upload.name,
+        size: upload.size,
+        chunkSize: upload.chunkSize,
+        chunkCount: upload.chunkCount,
+        received: upload.received
+      });
+    }
+
+    if (action === 'uploadFinalize') {
+      // Check the uploaded chunks against the declared hash and add the file
+      const upload = await requireUpload(storage, userStorage, storageId, uploadId);
+      authorize(userStorage, upload.folderId);
+
+      let content;
+      try {
+        content = await verifyUpload(storage, storageId, upload);
+      } catch (error) {
+        // Content that does not match its hash is useless, so the upload is dropped
+        if (error instanceof HttpError && error.status === 422) {
+          const { saved } = await commit((doc) => unregisterUpload(doc, upload.id) !== null);
+          if (saved) {
+            await deleteUploadData(storage, storageId, upload);
+          }
+        }
+        throw error;
+      }
+
+      // Words of text files go into the search index along with the file
+      const words = isTextLike(upload.name, upload.type) ? { [content.sha256]: await readFileWords(storage, storageId, content) } : {};
+
+      // The thumbnail belongs to the content the file will use: what is already
+      // stored with the same hash, or else the uploaded chunks
+      const blob = findReusableBlob(userStorage, content.sha256, content.size);
+      const thumbnailSource = { contentId: blob ? blob.contentId : content.contentId, type: upload.type, size: content.size };
+      const thumbnail = await ensureThumbnail(storage, storageId, thumbnailSource, () => readFileContent(storage, storageId, content));
+
+      // When the same content was stored in the meantime, the file shares that
+      // blob and the uploaded chunks are dropped
+      const { saved, result } = await commit((doc) => {
+        if (!unregisterUpload(doc, upload.id)) {
+          throw new HttpError(404, 'Upload not found or expired');
+        }
+
+        const folder = requireFolder(doc.tree, upload.folderId);
+        const existing = findReusableBlob(doc, content.sha256, content.size);
+        assertWithinQuota(doc.tree, {
+          bytes: existing ? 0 : content.size,
+          files: findFileByName(doc.tree, folder.id, upload.name) ? 0 : 1
+        });
+
+        const stored = existing ? { ...content, contentId: existing.contentId, chunkCount: existing.chunkCount } : content;
+        const added = addFileVersion(doc.tree, {
+          folderId: folder.id,
+          name: upload.name,
+          content: { ...stored, type: upload.type, thumbnail: stored.contentId === thumbnailSource.contentId ? thumbnail : null },
+          author
+        });
+        return { ...added, deduplicated: Boolean(existing) };
+      }, words);
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to add file' });
+      }
+      await deleteUploadData(storage, storageId, upload, { keepChunks: !result.deduplicated });
+
+      return res.status(200).json({
+        message: 'File added successfully',
+        newVersion: result.newVersion,
+        deduplicated: result.deduplicated,
+        file: toClientFile(result.file),
+        usage: getUsage(userStorage.tree)
+      });
+    }
+
+    if (action === 'listVersions') {
+      // List a file's versions, newest first, with the current one marked
+      const file = userStorage.tree.files.find(f => f.id === fileId);
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      authorize(userStorage, file.folderId);
+
+      return res.status(200).json({ versions: listVersions(file), limit: FILE_VERSION_LIMIT });
+    }
+
+    if (action === 'restoreVersion' || action === 'deleteVersion') {
+      // Make an earlier version current again, or drop it from the history
+      if (!fileId || !versionId) {
+        return res.status(400).json({ error: 'File ID and version ID are required' });
+      }
+
+      const { saved, result: file } = await commit((doc) => {
+        const file = doc.tree.files.find(f => f.id === fileId);
+        if (!file) {
+          throw new HttpError(404, 'File not found');
+        }
+        authorize(doc, file.folderId);
+
+        if (action === 'restoreVersion') {
+          restoreVersion(file, versionId, author);
+        } else {
+          deleteVersion(file, versionId);
+        }
+        return file;
+      });
+      if (!saved) {
+        return res.status(500).json({ error: `Failed to ${action === 'restoreVersion' ? 'restore' : 'delete'} version` });
+      }
+
+      return res.status(200).json({
+        message: action === 'restoreVersion' ? 'Version restored' : 'Version deleted',
+        file: toClientFile(file),
+        versions: listVersions(file),
+        usage: getUsage(userStorage.tree)
+      });
+    }
+
+    if (action === 'cancelUpload') {
+      // Abandon an open upload and delete the chunks sent so far
+      if (shared) {
+        const upload = await requireUpload(storage, userStorage, storageId, uploadId);
+        authorize(userStorage, upload.folderId);
+      }
+
+      const { saved, result: entry } = await commit((doc) => {
+        const entry = unregisterUpload(doc, uploadId);
+        if (!entry) {
+          throw new HttpError(404, 'Upload not found or expired');
+        }
+        return entry;
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to cancel upload' });
+      }
+      await deleteUploadData(storage, storageId, entry);
+
+      return res.status(200).json({ message: 'Upload cancelled' });
+    }
+
+    if (action === 'addFolder') {
+      // Add a new folder to storage
+      if (!data || !data.name) {
+        return res.status(400).json({ error: 'Folder name is required' });
+      }
+
+      const name = validateName(data.name);
+
+      const { saved, result: newFolder } = await commit((doc) => {
+        const parentFolder = requireFolder(doc.tree, folderId || 'root');
+        authorize(doc, parentFolder.id);
+
+        const newFolder = {
+          id: generateId(),
+          name,
+          path: typeof data.path === 'string' ? data.path : '/',
+          parentId: parentFolder.id,
+          children: [],
+          modified: new Date().toISOString(),
+          created: new Date().toISOString()
+        };
+
+        doc.tree.folders.push(newFolder);
+        return newFolder;
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to add folder' });
+      }
+
+      return res.status(200).json({ message: 'Folder added successfully', folder: newFolder });
+    }
+
+    if (action === 'renameItem') {
+      // Rename a file or folder
+      if (!itemType || !fileId || !newName) {
+        return res.status(400).json({ error: 'Item type, ID and new name are required' });
+      }
+      if (itemType !== 'file' && itemType !== 'folder') {
+        return res.status(400).json({ error: 'Invalid item type' });
+      }
+
+      const name = validateName(newName);
+
+      const { saved, result: outcome } = await commit((doc) => {
+        authorize(doc, containingFolderId(doc.tree, itemType, fileId));
+        return renameItem(doc.tree, { itemType, itemId: fileId, name, conflictPolicy });
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to rename item' });
+      }
+
+      return res.status(200).json({ message: 'Item renamed successfully', result: outcome.result, name: outcome.item.name });
+    }
+
+    if (action === 'moveItem' || action === 'copyItem') {
+      // Move or copy a file or folder into another folder
+      if (!itemType || !fileId || !targetFolderId) {
+        return res.status(400).json({ error: 'Item type, ID and target folder are required' });
+      }
+
+      const transfer = action === 'moveItem' ? moveItem : copyItem;
+      let outcome;
+      const { saved } = await commit((doc) => {
+        // Grantees need to see the item where it is (and edit there to move it) and edit the target
+        authorize(doc, containingFolderId(doc.tree, itemType, fileId), action === 'moveItem' ? 'editor' : 'viewer');
+        authorize(doc, targetFolderId);
+
+        // A copy shares its content with the original, so only the file count grows
+        if (action === 'copyItem') {
+          assertWithinQuota(doc.tree, { files: getRemovalSummary(doc.tree, itemType, fileId).files });
+        }
+
+        outcome = transfer(doc.tree, { itemType, itemId: fileId, targetFolderId, conflictPolicy });
+        // Nothing to save when the item was skipped or is already in place
+        return outcome.result === 'moved' || outcome.result === 'copied';
+      });
+
+      const { result, item } = outcome;
+      if (!saved && (result === 'moved' || result === 'copied')) {
+        return res.status(500).json({ error: `Failed to ${action === 'moveItem' ? 'move' : 'copy'} item` });
+      }
+
+      const itemInfo = itemType === 'file' ? toClientFile(item) : item;
+      return res.status(200).json({ message: `Item ${result}`, result, item: itemInfo });
+    }
+
+    if (action === 'getDeleteSummary') {
+      // Report what deleteItem would remove, so the client can confirm it first
+      if (!itemType || !fileId) {
+        return res.status(400).json({ error: 'Item type and ID are required' });
+      }
+
+      authorize(userStorage, containingFolderId(userStorage.tree, itemType, fileId));
+      return res.status(200).json({ summary: getRemovalSummary(userStorage.tree, itemType, fileId) });
+    }
+
+    if (action === 'deleteItem') {
+      // Move a file, or a folder together with its whole subtree, to the trash
+      if (!itemType || !fileId) {
+        return res.status(400).json({ error: 'Item type and ID are required' });
+      }
+
+      // Items deleted in a shared folder go to the trash of the storage that owns it
+      const { saved, result: entry } = await commit((doc) => {
+        authorize(doc, containingFolderId(doc.tree, itemType, fileId));
+        return moveToTrash(doc.tree, itemType, fileId);
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete item' });
+      }
+
+      return res.status(200).json({ message: 'Item moved to trash', summary: entry.summary, trashId: entry.id });
+    }
+
+    if (action === 'search') {
+      // Find files and folders by name (substring or glob), kind, size, date and
+      // folder, and text files by the words in them. Grantees search inside a
+      // folder shared with them.
+      const options = prepareSearch(data);
+      const scope = options.folderId || (shared ? null : 'root');
+      authorize(userStorage, scope);
+      requireFolder(userStorage.tree, scope);
+
+      const index = await loadSearchIndex(storage, storageId, userStorage.tree);
+
+      // Bring an index that missed a save up to date, and read the words of text
+      // files in the searched folder that were stored before words were indexed.
+      // Viewers only read the index.
+      const canIndex = !shared || roleAtLeast(resolveRole(userStorage, accountId, scope), 'editor');
+      const unindexed = canIndex && options.content && options.query
+        ? findUnindexedFiles(userStorage.tree, index.text, scope).slice(0, SEARCH_INDEX_BATCH)
+        : [];
+      if (canIndex && (!index.current || unindexed.length > 0)) {
+        const found = {};
+        for (const file of unindexed) {
+          found[textKey(file)] = await readFileWords(storage, storageId, file);
+        }
+        Object.assign(index.text, found);
+        // The search still runs on the rebuilt index when it could not be saved
+        if (!(await updateSearchIndex(storage, storageId, userStorage.tree, userStorage.revision, found))) {
+          console.error(`Failed to update the search index of ${storageId}`);
+        }
+      }
+
+      // Grantees see paths from the folder shared with them
+      const pathBase = shared ? grantRootFolderId(userStorage, accountId, scope) : 'root';
+      return res.status(200).json(runSearch(userStorage.tree, index, { ...options, folderId: scope }, pathBase));
+    }
+
+    if (action === 'listTrash') {
+      // List trashed items with where they came from and when they expire
+      return res.status(200).json({ trash: toClientTrash(userStorage.tree), retentionDays: TRASH_RETENTION_DAYS });
+    }
+
+    if (action === 'restoreItem') {
+      // Put a trashed item back in its original folder
+      if (!trashId) {
+        return res.status(400).json({ error: 'Trash ID is required' });
+      }
+
+      const { saved, result: { parentId, name } } = await commit((doc) => restoreFromTrash(doc.tree, trashId));
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to restore item' });
+      }
+
+      return res.status(200).json({ message: 'Item restored successfully', folderId: parentId, name });
+    }
+
+    if (action === 'purgeItem' || action === 'emptyTrash') {
+      // Delete one trashed item, or the whole trash, permanently
+      if (action === 'purgeItem' && !trashId) {
+        return res.status(400).json({ error: 'Trash ID is required' });
+      }
+
+      const { saved, result: purged } = await commit((doc) => (
+        action === 'purgeItem' ? [purgeTrashEntry(doc.tree, trashId)] : emptyTrash(doc.tree)
+      ));
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete items' });
+      }
+
+      return res.status(200).json({ message: 'Deleted permanently', count: purged.length });
+    }
+
+    if (action === 'createShare') {
+      // Create a public link to a file or folder, with optional expiry, password and download limit
+      if (!itemType || !fileId) {
+        return res.status(400).json({ error: 'Item type and ID are required' });
+      }
+
+      const options = await prepareShareOptions(data || {});
+      const { saved, result: share } = await commit((doc) => (
+        createShare(doc, { itemType, itemId: fileId, options, author })
+      ));
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to create share' });
+      }
+
+      // The pointer lets the public endpoint find this storage from the token alone
+      if (!(await storage.put(shareKey(share.token), { storageId, shareId: share.id }))) {
+        await commit((doc) => removeShare(doc, share.id));
+        return res.status(500).json({ error: 'Failed to create share' });
+      }
+
+      const [created] = toClientShares(userStorage.tree, [share]);
+      return res.status(200).json({ message: 'Share created', share: created });
+    }
+
+    if (action === 'listShares') {
+      // List the share links of this storage
+      return res.status(200).json({ shares: toClientShares(userStorage.tree, userStorage.shares) });
+    }
+
+    if (action === 'revokeShare') {
+      // Delete a share link; anyone holding it loses access immediately
+      if (!shareId) {
+        return res.status(400).json({ error: 'Share ID is required' });
+      }
+
+      const { saved, result: share } = await commit((doc) => removeShare(doc, shareId));
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to revoke share' });
+      }
+      await storage.delete(shareKey(share.token));
+
+      return res.status(200).json({ message: 'Share revoked', shares: toClientShares(userStorage.tree, userStorage.shares) });
+    }
+
+    if (action === 'listGrants') {
+      // List who has access to a folder
+      if (!folderId) {
+        return res.status(400).json({ error: 'Folder ID is required' });
+      }
+      authorize(userStorage, folderId);
+      requireFolder(userStorage.tree, folderId);
+
+      return res.status(200).json({ grants: listFolderGrants(userStorage, folderId), roles: ROLES });
+    }
+
+    if (action === 'grantAccess') {
+      // Give another storage ID a role on a folder, or change the role it has
+      if (!folderId || !data || !data.storageId || !data.role) {
+        return res.status(400).json({ error: 'Folder ID, storage ID and role are required' });
+      }
+
+      const granteeId = String(data.storageId);
+      if (granteeId === storageId) {
+        return res.status(400).json({ error: 'A storage always has full access to its own folders' });
+      }
+      if (granteeId.includes(':') || !(await storage.get(granteeId))) {
+        return res.status(404).json({ error: 'Storage ID not found' });
+      }
+
+      const { saved, result: grant } = await commit((doc) => {
+        authorize(doc, folderId);
+        return grantAccess(doc, { folderId, storageId: granteeId, role: data.role, author });
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to grant access' });
+      }
+
+      // List the folder under "Shared with me" for the grantee. Granting again retries this.
+      const listed = await updateLinkedStorage(storage, granteeId, (doc) => (
+        addSharedWithMe(doc, { grantId: grant.id, ownerId: storageId, folderId })
+      ));
+      if (!listed) {
+        return res.status(500).json({ error: 'Access was granted, but the other storage could not be updated. Please try again.' });
+      }
+
+      return res.status(200).json({ message: 'Access granted', grant, grants: listFolderGrants(userStorage, folderId) });
+    }
+
+    if (action === 'revokeAccess') {
+      // Take away a storage ID's access to a folder
+      if (!grantId) {
+        return res.status(400).json({ error: 'Grant ID is required' });
+      }
+
+      const { saved, result: grant } = await commit((doc) => {
+        const existing = (doc.grants || []).find(g => g.id === grantId);
+        if (existing) {
+          authorize(doc, existing.folderId);
+        }
+        return revokeAccess(doc, grantId);
+      });
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to revoke access' });
+      }
+      await updateLinkedStorage(storage, grant.storageId, (doc) => removeSharedWithMe(doc, grant.id));
+
+      return res.status(200).json({ message: 'Access revoked', grants: listFolderGrants(userStorage, grant.folderId) });
+    }
+
+    if (action === 'listSharedWithMe') {
+      // List the folders other storages shared with this one. Entries whose
+      // grant or folder is gone are left out.
+      const folders = [];
+      for (const entry of accountStorage.sharedWithMe || []) {
+        const owner = await loadStorageDocument(storage, entry.ownerId);
+        const grant = owner && (owner.grants || []).find(g => g.id === entry.grantId && g.storageId === accountId);
+        const folder = grant && findFolder(owner.tree, grant.folderId);
+        if (folder) {
+          folders.push({
+            ownerId: entry.ownerId,
+            folderId: folder.id,
+            name: folder.name,
+            role: resolveRole(owner, accountId, folder.id),
+            grantedAt: grant.createdAt
+          });
+        }
+      }
+
+      return res.status(200).json({ folders });
+    }
+
+    return res.status(400).json({ error: 'Invalid action' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('JSONBin API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Parse a single "bytes=start-end" Range header against a file's size. Returns
+// null to send the whole file (no header, several ranges, unknown size) and
+// false when the range lies outside the file. Ranges are capped at MAX_RANGE_LENGTH.
+function parseRange(header, size) {
+  const match = typeof header === 'string' ? header.match(/^bytes=(\d*)-(\d*)$/) : null;
+  if (!match || (!match[1] && !match[2]) || !Number.isInteger(size)) {
+    return null;
+  }
+
+  // "bytes=-500" asks for the last 500 bytes
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (start >= size || start > end) {
+    return false;
+  }
+  return { start, end: Math.min(end, start + MAX_RANGE_LENGTH - 1) };
+}
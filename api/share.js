@@ -0,0 +1,119 @@
+import { getStorageAdapter } from './_lib/storage.js';
+import { loadStorageDocument, commitStorageDocument } from './_lib/schema.js';
+import { getChunkCount, readFileChunk, readFileContent, contentDisposition } from './_lib/content.js';
+import {
+  shareKey,
+  requireActiveShare,
+  checkSharePassword,
+  requireSharedFile,
+  createDownloadTicket,
+  verifyDownloadTicket,
+  describeShare
+} from './_lib/shares.js';
+import { getClientIP } from './_lib/session.js';
+import { checkRateLimit, consumeRateLimit, recordFailure, resetRateLimit, setRateLimitHeaders, assertAllowed } from './_lib/ratelimit.js';
+import { applyCors } from './_lib/cors.js';
+import { HttpError } from './_lib/errors.js';
+
+// Public access to share links. Nothing here needs a session: the token in the
+// link is the only credential, plus the share's password when it has one
+// (sent as X-Share-Password). See _lib/shares.js for how downloads are counted.
+export default async function handler(req, res) {
+  // Set CORS headers, refusing origins outside the allowlist
+  if (!applyCors(req, res, 'GET, OPTIONS')) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const storage = getStorageAdapter();
+    const { action, token, fileId, part } = req.query;
+
+    // Apply the per-IP rate limit; the parts of downloads count as transfers
+    assertAllowed(res, await consumeRateLimit(action === 'download' ? 'transfer' : 'api', getClientIP(req)));
+
+    if (!token) {
+      return res.status(400).json({ error: 'Share token is required' });
+    }
+
+    // Find the storage the link belongs to
+    const pointer = await storage.get(shareKey(token));
+    const doc = pointer && await loadStorageDocument(storage, pointer.storageId);
+    if (!doc) {
+      return res.status(404).json({ error: 'This link does not exist or was revoked' });
+    }
+
+    // Later parts of a download were counted (and the password checked) with its first part
+    const partIndex = part === undefined ? null : Number(part);
+    const continued = action === 'download' && partIndex > 0;
+    const share = requireActiveShare(doc, token, { counted: continued });
+
+    if (!continued && share.passwordHash) {
+      assertAllowed(res, await checkRateLimit('sharePassword', share.id), 'Too many wrong passwords. Please try again later.');
+
+      const passwordMatch = await checkSharePassword(share, req.headers['x-share-password']);
+      if (!passwordMatch) {
+        setRateLimitHeaders(res, await recordFailure('sharePassword', share.id));
+        return res.status(401).json({ error: 'Wrong password', passwordRequired: true });
+      }
+      await resetRateLimit('sharePassword', share.id);
+    }
+
+    if (action === 'info') {
+      // What the link points at, for the share page
+      return res.status(200).json(describeShare(doc.tree, share));
+    }
+
+    if (action === 'download') {
+      // Send a shared file, or one chunk of it when `part` is given
+      const file = requireSharedFile(doc.tree, share, fileId);
+      if (continued) {
+        verifyDownloadTicket(req.headers['x-share-ticket'], share, file.id);
+      }
+
+      const buffer = partIndex === null
+        ? await readFileContent(storage, pointer.storageId, file)
+        : await readFileChunk(storage, pointer.storageId, file, partIndex);
+      if (!buffer) {
+        return res.status(404).json({ error: 'File content not found' });
+      }
+
+      // Count the download; checking the limit again on the fresh document keeps
+      // parallel downloads from going past it
+      if (!continued) {
+        const { saved } = await commitStorageDocument(storage, pointer.storageId, doc, (fresh) => {
+          requireActiveShare(fresh, token).downloads += 1;
+        });
+        if (!saved) {
+          return res.status(500).json({ error: 'Failed to start download' });
+        }
+        res.setHeader('X-Share-Ticket', createDownloadTicket(share, file.id));
+      }
+
+      res.setHeader('X-Chunk-Count', getChunkCount(file));
+      res.setHeader('Content-Type', file.type || 'application/octet-stream');
+      res.setHeader('Content-Length', buffer.length);
+      res.setHeader('Content-Disposition', contentDisposition(file.name));
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.status(200).send(buffer);
+    }
+
+    return res.status(400).json({ error: 'Invalid action' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Share API error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,154 +1,280 @@
-import { showToast, getDeviceFingerprint, generateCSRFToken, handleApiError, apiFetch } from './utils.js';
-
-// Initialize Lucide icons
-document.addEventListener('DOMContentLoaded', () => {
-    lucide.createIcons();
-    
-    // Initialize theme
-    initTheme();
-    
-    // Hide loading screen after everything is loaded
-    setTimeout(() => {
-        const loadingScreen = document.getElementById('loading-screen');
-        const mainContainer = document.getElementById('main-container');
-        
-        if (loadingScreen) loadingScreen.classList.add('opacity-0');
-        if (mainContainer) mainContainer.classList.remove('opacity-0', 'scale-95');
-        
-        setTimeout(() => {
-            if (loadingScreen) loadingScreen.classList.add('hidden');
-        }, 500);
-    }, 1000);
-});
-
-// Theme functionality
-function initTheme() {
-    const themeToggle = document.getElementById('theme-toggle');
-    if (!themeToggle) return;
-    
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const savedTheme = localStorage.getItem('theme');
-    
-    // Set initial theme
-    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
-        document.documentElement.classList.add('dark');
-    } else {
-        document.documentElement.classList.remove('dark');
-    }
-    
-    // Theme toggle event
-    themeToggle.addEventListener('click', () => {
-        if (document.documentElement.classList.contains('dark')) {
-            document.documentElement.classList.remove('dark');
-            localStorage.setItem('theme', 'light');
-        } else {
-            document.documentElement.classList.add('dark');
-            localStorage.setItem('theme', 'dark');
-        }
-        lucide.createIcons(); // Refresh icons to show correct ones
-    });
-}
-
-// Form handling
-const createForm = document.getElementById('create-form');
-const loginForm = document.getElementById('login-form');
-
-if (createForm) {
-    createForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        await handleCreateStorage();
-    });
-}
-
-if (loginForm) {
-    loginForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        await handleLogin();
-    });
-}
-
-async function handleCreateStorage() {
-    const storageIdInput = document.getElementById('create-id');
-    const passwordInput = document.getElementById('create-password');
-    
-    if (!storageIdInput || !passwordInput) return;
-    
-    const storageId = storageIdInput.value;
-    const password = passwordInput.value;
-    
-    if (!storageId || !password) {
-        showToast('Please fill all fields', 'error');
-        return;
-    }
-    
-    try {
-        const deviceFingerprint = getDeviceFingerprint();
-        
-        const { success, data, error } = await apiFetch('/api/auth', {
-            method: 'POST',
-            body: JSON.stringify({
-                action: 'create',
-                storageId,
-                password,
-                deviceFingerprint
-            }),
-            csrfToken: 'create'
-        });
-        
-        if (success) {
-            showToast('Storage created successfully!', 'success');
-            // Auto login after creation
-            setTimeout(() => handleLoginAfterCreate(storageId, password), 1500);
-        } else {
-            showToast(error || 'Failed to create storage', 'error');
-        }
-    } catch (error) {
-        handleApiError(error, 'Failed to create storage');
-    }
-}
-
-async function handleLogin() {
-    const storageIdInput = document.getElementById('login-id');
-    const passwordInput = document.getElementById('login-password');
-    
-    if (!storageIdInput || !passwordInput) return;
-    
-    const storageId = storageIdInput.value;
-    const password = passwordInput.value;
-    
-    if (!storageId || !password) {
-        showToast('Please fill all fields', 'error');
-        return;
-    }
-    
-    await handleLoginAfterCreate(storageId, password);
-}
-
-async function handleLoginAfterCreate(storageId, password) {
-    try {
-        const deviceFingerprint = getDeviceFingerprint();
-        
-        const { success, data, error } = await apiFetch('/api/auth', {
-            method: 'POST',
-            body: JSON.stringify({
-                action: 'login',
-                storageId,
-                password,
-                deviceFingerprint
-            }),
-            csrfToken: 'login'
-        });
-        
-        if (success) {
-            showToast('Login successful!', 'success');
-            // Redirect to dashboard after a brief delay
-            setTimeout(() => {
-                window.location.href = '/dashboard.html';
-            }, 1000);
-        } else {
-            showToast(error || 'Login failed', 'error');
-        }
-    } catch (error) {
-        handleApiError(error, 'Login failed');
-    }
-}
+import { showToast, getDeviceFingerprint, handleApiError, apiFetch, showRecoveryCodes } from './utils.js';
+
+// Initialize Lucide icons
+document.addEventListener('DOMContentLoaded', () => {
+    lucide.createIcons();
+    
+    // Initialize theme
+    initTheme();
+    
+    // Hide loading screen after everything is loaded
+    setTimeout(() => {
+        const loadingScreen = document.getElementById('loading-screen');
+        const mainContainer = document.getElementById('main-container');
+        
+        if (loadingScreen) loadingScreen.classList.add('opacity-0');
+        if (mainContainer) mainContainer.classList.remove('opacity-0', 'scale-95');
+        
+        setTimeout(() => {
+            if (loadingScreen) loadingScreen.classList.add('hidden');
+        }, 500);
+    }, 1000);
+});
+
+// Theme functionality
+function initTheme() {
+    const themeToggle = document.getElementById('theme-toggle');
+    if (!themeToggle) return;
+    
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const savedTheme = localStorage.getItem('theme');
+    
+    // Set initial theme
+    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
+        document.documentElement.classList.add('dark');
+    } else {
+        document.documentElement.classList.remove('dark');
+    }
+    
+    // Theme toggle event
+    themeToggle.addEventListener('click', () => {
+        if (document.documentElement.classList.contains('dark')) {
+            document.documentElement.classList.remove('dark');
+            localStorage.setItem('theme', 'light');
+        } else {
+            document.documentElement.classList.add('dark');
+            localStorage.setItem('theme', 'dark');
+        }
+        lucide.createIcons(); // Refresh icons to show correct ones
+    });
+}
+
+// Form handling
+const createForm = document.getElementById('create-form');
+const loginForm = document.getElementById('login-form');
+const resetForm = document.getElementById('reset-form');
+const totpForm = document.getElementById('totp-form');
+
+// Partial token from the password step while a two-factor login is pending
+let pendingPartialToken = null;
+
+if (createForm) {
+    createForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await handleCreateStorage();
+    });
+}
+
+if (loginForm) {
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await handleLogin();
+    });
+}
+
+if (resetForm) {
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await handleResetPassword();
+    });
+    
+    // Switch between the login and reset cards
+    document.getElementById('show-reset').addEventListener('click', (e) => {
+        e.preventDefault();
+        document.getElementById('reset-id').value = document.getElementById('login-id').value;
+        toggleResetCard(true);
+    });
+    document.getElementById('hide-reset').addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleResetCard(false);
+    });
+}
+
+if (totpForm) {
+    totpForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await handleTotpLogin();
+    });
+    
+    document.getElementById('cancel-totp').addEventListener('click', (e) => {
+        e.preventDefault();
+        pendingPartialToken = null;
+        toggleTotpCard(false);
+    });
+}
+
+function toggleTotpCard(show) {
+    document.getElementById('totp-card').classList.toggle('hidden', !show);
+    loginForm.closest('div').classList.toggle('hidden', show);
+    if (show) {
+        totpForm.reset();
+        document.getElementById('totp-code').focus();
+    }
+}
+
+function toggleResetCard(show) {
+    document.getElementById('reset-card').classList.toggle('hidden', !show);
+    loginForm.closest('div').classList.toggle('hidden', show);
+}
+
+async function handleCreateStorage() {
+    const storageIdInput = document.getElementById('create-id');
+    const passwordInput = document.getElementById('create-password');
+    
+    if (!storageIdInput || !passwordInput) return;
+    
+    const storageId = storageIdInput.value;
+    const password = passwordInput.value;
+    
+    if (!storageId || !password) {
+        showToast('Please fill all fields', 'error');
+        return;
+    }
+    
+    try {
+        const deviceFingerprint = getDeviceFingerprint();
+        
+        const { success, data, error } = await apiFetch('/api/auth', {
+            method: 'POST',
+            body: JSON.stringify({
+                action: 'create',
+                storageId,
+                password,
+                deviceFingerprint
+            })
+        });
+        
+        if (success) {
+            showToast('Storage created successfully!', 'success');
+            // The new storage is already signed in; show the recovery codes before moving on
+            showRecoveryCodes(data.recoveryCodes, storageId);
+            document.getElementById('recovery-modal').classList.remove('hidden');
+            document.getElementById('recovery-done').onclick = () => {
+                window.location.href = '/dashboard.html';
+            };
+        } else {
+            showToast(error || 'Failed to create storage', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to create storage');
+    }
+}
+
+async function handleLogin() {
+    const storageIdInput = document.getElementById('login-id');
+    const passwordInput = document.getElementById('login-password');
+    
+    if (!storageIdInput || !passwordInput) return;
+    
+    const storageId = storageIdInput.value;
+    const password = passwordInput.value;
+    
+    if (!storageId || !password) {
+        showToast('Please fill all fields', 'error');
+        return;
+    }
+    
+    await handleLoginAfterCreate(storageId, password);
+}
+
+async function handleLoginAfterCreate(storageId, password) {
+    try {
+        const deviceFingerprint = getDeviceFingerprint();
+        
+        const { success, data, error } = await apiFetch('/api/auth', {
+            method: 'POST',
+            body: JSON.stringify({
+                action: 'login',
+                storageId,
+                password,
+                deviceFingerprint
+            })
+        });
+        
+        if (success && data.twoFactorRequired) {
+            // Password accepted; ask for the authenticator code next
+            pendingPartialToken = data.partialToken;
+            toggleTotpCard(true);
+        } else if (success) {
+            showToast('Login successful!', 'success');
+            // Redirect to dashboard after a brief delay
+            setTimeout(() => {
+                window.location.href = '/dashboard.html';
+            }, 1000);
+        } else if (data && data.retryAfter) {
+            // Locked out after too many failed attempts
+            const wait = data.retryAfter < 60 ? `${data.retryAfter} seconds` : `${Math.ceil(data.retryAfter / 60)} minutes`;
+            showToast(`${error} Try again in ${wait}.`, 'error');
+        } else {
+            showToast(error || 'Login failed', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Login failed');
+    }
+}
+
+async function handleResetPassword() {
+    const storageId = document.getElementById('reset-id').value;
+    const recoveryCode = document.getElementById('reset-code').value;
+    const newPassword = document.getElementById('reset-password').value;
+    
+    if (!storageId || !recoveryCode || !newPassword) {
+        showToast('Please fill all fields', 'error');
+        return;
+    }
+    
+    try {
+        const { success, data, error } = await apiFetch('/api/auth', {
+            method: 'POST',
+            body: JSON.stringify({
+                action: 'resetPassword',
+                storageId,
+                recoveryCode,
+                newPassword
+            })
+        });
+        
+        if (success) {
+            showToast(`Password reset. ${data.remainingCodes} recovery code(s) left.`, 'success');
+            resetForm.reset();
+            document.getElementById('login-id').value = storageId;
+            toggleResetCard(false);
+        } else {
+            showToast(error || 'Failed to reset password', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to reset password');
+    }
+}
+
+async function handleTotpLogin() {
+    const code = document.getElementById('totp-code').value;
+    
+    if (!code || !pendingPartialToken) {
+        showToast('Please enter your authentication code', 'error');
+        return;
+    }
+    
+    try {
+        const { success, error } = await apiFetch('/api/auth', {
+            method: 'POST',
+            body: JSON.stringify({
+                action: 'loginTotp',
+                partialToken: pendingPartialToken,
+                code
+            })
+        });
+        
+        if (success) {
+            pendingPartialToken = null;
+            showToast('Login successful!', 'success');
+            setTimeout(() => {
+                window.location.href = '/dashboard.html';
+            }, 1000);
+        } else {
+            showToast(error || 'Verification failed', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Verification failed');
+    }
+}
@@ -1,707 +1,3011 @@
-import { showToast, getDeviceFingerprint, formatFileSize, formatDate, checkAuth, handleApiError, apiFetch } from './utils.js';
-
-// Global state
-let currentPath = [];
-let currentFiles = [];
-let currentFolders = [];
-let selectedItem = null;
-
-// Initialize the application
-document.addEventListener('DOMContentLoaded', async () => {
-    // Initialize icons
-    lucide.createIcons();
-    
-    // Initialize theme
-    initTheme();
-    
-    // Check if user is authenticated
-    if (!await checkAuth()) {
-        window.location.href = '/';
-        return;
-    }
-    
-    // Set up event listeners
-    setupEventListeners();
-    
-    // Load initial data
-    await loadFileManagerData();
-    
-    // Hide loading screen
-    setTimeout(() => {
-        document.getElementById('loading-screen').classList.add('opacity-0');
-        document.getElementById('app-container').classList.remove('opacity-0');
-        setTimeout(() => {
-            document.getElementById('loading-screen').classList.add('hidden');
-        }, 500);
-    }, 1000);
-});
-
-// Initialize theme
-function initTheme() {
-    const themeToggle = document.getElementById('theme-toggle');
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const savedTheme = localStorage.getItem('theme');
-    
-    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
-        document.documentElement.classList.add('dark');
-    } else {
-        document.documentElement.classList.remove('dark');
-    }
-    
-    themeToggle.addEventListener('click', () => {
-        if (document.documentElement.classList.contains('dark')) {
-            document.documentElement.classList.remove('dark');
-            localStorage.setItem('theme', 'light');
-        } else {
-            document.documentElement.classList.add('dark');
-            localStorage.setItem('theme', 'dark');
-        }
-        lucide.createIcons();
-    });
-}
-
-// Set up all event listeners
-function setupEventListeners() {
-    // Sidebar toggle for mobile
-    document.getElementById('sidebar-toggle').addEventListener('click', () => {
-        const sidebar = document.getElementById('sidebar');
-        sidebar.classList.toggle('-translate-x-full');
-    });
-    
-    // Logout button
-    document.getElementById('logout-btn').addEventListener('click', () => {
-        // Clear session and redirect
-        document.cookie = 'token=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
-        window.location.href = '/';
-    });
-    
-    // Upload button
-    document.getElementById('upload-file-btn').addEventListener('click', () => {
-        const uploadArea = document.getElementById('upload-area');
-        uploadArea.classList.toggle('hidden');
-    });
-    
-    // File input
-    document.getElementById('file-input').addEventListener('change', handleFileUpload);
-    
-    // Drag and drop
-    const uploadArea = document.getElementById('upload-area');
-    uploadArea.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        uploadArea.classList.add('drag-over');
-    });
-    
-    uploadArea.addEventListener('dragleave', () => {
-        uploadArea.classList.remove('drag-over');
-    });
-    
-    uploadArea.addEventListener('drop', (e) => {
-        e.preventDefault();
-        uploadArea.classList.remove('drag-over');
-        handleDroppedFiles(e.dataTransfer.files);
-    });
-    
-    // Create folder modal
-    document.getElementById('create-folder-btn').addEventListener('click', () => {
-        showModal('create-folder-modal');
-    });
-    
-    document.getElementById('cancel-create-folder').addEventListener('click', () => {
-        hideModal('create-folder-modal');
-    });
-    
-    document.getElementById('confirm-create-folder').addEventListener('click', createNewFolder);
-    
-    // Rename modal
-    document.getElementById('cancel-rename').addEventListener('click', () => {
-        hideModal('rename-modal');
-    });
-    
-    document.getElementById('confirm-rename').addEventListener('click', renameItem);
-    
-    // Delete modal
-    document.getElementById('cancel-delete').addEventListener('click', () => {
-        hideModal('delete-modal');
-    });
-    
-    document.getElementById('confirm-delete').addEventListener('click', deleteItem);
-    
-    // New folder name input - allow Enter key to submit
-    document.getElementById('new-folder-name').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            createNewFolder();
-        }
-    });
-    
-    // Rename input - allow Enter key to submit
-    document.getElementById('rename-input').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            renameItem();
-        }
-    });
-}
-
-// Load file manager data
-async function loadFileManagerData() {
-    try {
-        const deviceFingerprint = getDeviceFingerprint();
-        
-        const { success, data, error } = await apiFetch('/api/jsonbin', {
-            method: 'POST',
-            body: JSON.stringify({
-                action: 'getStorage',
-                deviceFingerprint
-            }),
-            csrfToken: 'read'
-        });
-        
-        if (success) {
-            currentFiles = data.files || [];
-            currentFolders = data.folders || [];
-            updateBreadcrumb();
-            renderFileList();
-            renderFolderTree();
-        } else {
-            showToast(error || 'Failed to load storage data', 'error');
-        }
-    } catch (error) {
-        handleApiError(error, 'Failed to load data');
-    }
-}
-
-// Render file list
-function renderFileList() {
-    const fileList = document.getElementById('file-list');
-    const emptyState = document.getElementById('empty-state');
-    
-    if (!fileList || !emptyState) return;
-    
-    // Clear current list
-    fileList.innerHTML = '';
-    
-    if (currentFiles.length === 0 && currentFolders.length === 0) {
-        emptyState.classList.remove('hidden');
-        return;
-    }
-    
-    emptyState.classList.add('hidden');
-    
-    // Render folders first
-    currentFolders.forEach(folder => {
-        const row = document.createElement('tr');
-        row.className = 'folder-item hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer';
-        row.innerHTML = `
-            <td class="px-6 py-4 whitespace-nowrap">
-                <div class="flex items-center">
-                    <i data-lucide="folder" class="w-5 h-5 text-yellow-500 mr-2"></i>
-                    <span class="text-sm font-medium text-gray-900 dark:text-gray-100">${folder.name}</span>
-                </div>
-            </td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">—</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">${formatDate(folder.modified)}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 rename-btn" data-type="folder" data-id="${folder.id}">Rename</button>
-                <button class="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 delete-btn" data-type="folder" data-id="${folder.id}">Delete</button>
-            </td>
-        `;
-        fileList.appendChild(row);
-        
-        // Add click event to navigate into folder
-        const folderElement = row.querySelector('.flex.items-center');
-        if (folderElement) {
-            folderElement.addEventListener('click', () => {
-                navigateToFolder(folder.id, folder.name);
-            });
-        }
-    });
-    
-    // Then render files
-    currentFiles.forEach(file => {
-        const row = document.createElement('tr');
-        row.className = 'file-item hover:bg-gray-50 dark:hover:bg-gray-700';
-        
-        // Get file icon based on type
-        let fileIcon = 'file';
-        if (file.type && file.type.includes('image')) fileIcon = 'image';
-        else if (file.type && file.type.includes('pdf')) fileIcon = 'file-text';
-        else if (file.type && file.type.includes('zip')) fileIcon = 'archive';
-        else if (file.type && file.type.includes('text')) fileIcon = 'file-text';
-        else if (file.type && file.type.includes('video')) fileIcon = 'video';
-        else if (file.type && file.type.includes('audio')) fileIcon = 'music';
-        
-        row.innerHTML = `
-            <td class="px-6 py-4 whitespace-nowrap">
-                <div class="flex items-center">
-                    <i data-lucide="${fileIcon}" class="w-5 h-5 text-blue-500 mr-2"></i>
-                    <span class="text-sm font-medium text-gray-900 dark:text-gray-100">${file.name}</span>
-                </div>
-            </td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">${formatFileSize(file.size)}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">${formatDate(file.modified)}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 download-btn" data-id="${file.id}">Download</button>
-                <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 rename-btn" data-type="file" data-id="${file.id}">Rename</button>
-                <button class="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 delete-btn" data-type="file" data-id="${file.id}">Delete</button>
-            </td>
-        `;
-        fileList.appendChild(row);
-        
-        // Add download event
-        const downloadBtn = row.querySelector('.download-btn');
-        if (downloadBtn) {
-            downloadBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                downloadFile(file.id);
-            });
-        }
-    });
-    
-    // Add event listeners to action buttons
-    document.querySelectorAll('.rename-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const type = btn.getAttribute('data-type');
-            const id = btn.getAttribute('data-id');
-            showRenameModal(type, id);
-        });
-    });
-    
-    document.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const type = btn.getAttribute('data-type');
-            const id = btn.getAttribute('data-id');
-            showDeleteModal(type, id);
-        });
-    });
-    
-    // Refresh icons
-    setTimeout(() => lucide.createIcons(), 100);
-}
-
-// Render folder tree
-function renderFolderTree() {
-    const folderTree = document.getElementById('folder-tree');
-    if (!folderTree) return;
-    
-    // This would be implemented to show the full folder hierarchy
-    // For simplicity, we're just showing a basic implementation
-    folderTree.innerHTML = `
-        <div class="folder-item p-2 rounded cursor-pointer flex items-center hover:bg-gray-100 dark:hover:bg-gray-700" data-folder="root">
-            <i data-lucide="folder" class="w-4 h-4 text-yellow-500 mr-2"></i>
-            <span class="text-sm">Home</span>
-        </div>
-    `;
-    
-    // Add current folders to the tree
-    currentFolders.forEach(folder => {
-        if (folder.parentId === 'root') {
-            const folderElement = document.createElement('div');
-            folderElement.className = 'folder-item p-2 rounded cursor-pointer flex items-center hover:bg-gray-100 dark:hover:bg-gray-700 ml-4';
-            folderElement.innerHTML = `
-                <i data-lucide="folder" class="w-4 h-4 text-yellow-500 mr-2"></i>
-                <span class="text-sm">${folder.name}</span>
-            `;
-            folderTree.appendChild(folderElement);
-            
-            folderElement.addEventListener('click', () => {
-                navigateToFolder(folder.id, folder.name);
-            });
-        }
-    });
-    
-    // Add click event to navigate home
-    const homeElement = folderTree.querySelector('[data-folder="root"]');
-    if (homeElement) {
-        homeElement.addEventListener('click', () => {
-            navigateToFolder('root', 'Home');
-        });
-    }
-    
-    // Refresh icons
-    setTimeout(() => lucide.createIcons(), 100);
-}
-
-// Update breadcrumb
-function updateBreadcrumb() {
-    const breadcrumb = document.getElementById('breadcrumb');
-    if (!breadcrumb) return;
-    
-    breadcrumb.innerHTML = '';
-    
-    // Always show Home as the first item
-    const homeItem = document.createElement('span');
-    homeItem.className = 'breadcrumb-item cursor-pointer hover:text-indigo-600 dark:hover:text-indigo-300';
-    homeItem.textContent = 'Home';
-    homeItem.addEventListener('click', () => navigateToFolder('root', 'Home'));
-    breadcrumb.appendChild(homeItem);
-    
-    // Add current path items
-    if (currentPath.length > 0) {
-        currentPath.forEach((item, index) => {
-            const separator = document.createElement('span');
-            separator.className = 'mx-2 text-gray-400';
-            separator.textContent = '/';
-            breadcrumb.appendChild(separator);
-            
-            const pathItem = document.createElement('span');
-            pathItem.className = 'breadcrumb-item cursor-pointer hover:text-indigo-600 dark:hover:text-indigo-300';
-            pathItem.textContent = item.name;
-            
-            // Navigate to this folder when clicked
-            pathItem.addEventListener('click', () => {
-                const newPath = currentPath.slice(0, index + 1);
-                navigateToPath(newPath);
-            });
-            
-            breadcrumb.appendChild(pathItem);
-        });
-    }
-    
-    // Update current folder title
-    const currentFolderElement = document.getElementById('current-folder');
-    if (currentFolderElement) {
-        currentFolderElement.textContent = 
-            currentPath.length > 0 ? currentPath[currentPath.length - 1].name : 'Files';
-    }
-}
-
-// Navigate to folder
-function navigateToFolder(folderId, folderName) {
-    if (folderId === 'root') {
-        // Navigate to root
-        currentPath = [];
-        updateBreadcrumb();
-        // In a real implementation, we would filter files for root
-        renderFileList();
-        showToast(`Navigated to Home`, 'info');
-    } else {
-        // Navigate to specific folder
-        const folder = currentFolders.find(f => f.id === folderId);
-        if (folder) {
-            currentPath.push({ id: folderId, name: folderName });
-            updateBreadcrumb();
-            // In a real implementation, we would filter files for this folder
-            renderFileList();
-            showToast(`Navigated to ${folderName}`, 'info');
-        }
-    }
-}
-
-// Navigate to path
-function navigateToPath(path) {
-    currentPath = path;
-    updateBreadcrumb();
-    // In a real implementation, we would filter files for this path
-    renderFileList();
-}
-
-// Handle file upload
-function handleFileUpload(e) {
-    const files = e.target.files;
-    handleDroppedFiles(files);
-    // Reset the file input
-    e.target.value = '';
-}
-
-function handleDroppedFiles(files) {
-    if (!files || files.length === 0) return;
-    
-    const uploadProgress = document.getElementById('upload-progress');
-    if (!uploadProgress) return;
-    
-    uploadProgress.classList.remove('hidden');
-    uploadProgress.innerHTML = '';
-    
-    Array.from(files).forEach(file => {
-        if (file.size > 5 * 1024 * 1024) { // 5MB limit for demo
-            showToast(`File ${file.name} is too large (max 5MB)`, 'error');
-            return;
-        }
-        
-        const progressItem = document.createElement('div');
-        progressItem.className = 'flex items-center mb-2';
-        progressItem.innerHTML = `
-            <div class="w-8 h-8 mr-3 bg-gray-200 dark:bg-gray-700 rounded flex items-center justify-center">
-                <i data-lucide="file" class="w-4 h-4 text-gray-500"></i>
-            </div>
-            <div class="flex-1">
-                <p class="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">${file.name}</p>
-                <div class="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-1">
-                    <div class="bg-indigo-600 h-2 rounded-full progress-bar" style="width: 0%"></div>
-                </div>
-            </div>
-        `;
-        uploadProgress.appendChild(progressItem);
-        
-        // Simulate upload progress
-        simulateUploadProgress(file, progressItem);
-    });
-}
-
-function simulateUploadProgress(file, progressItem) {
-    let progress = 0;
-    const progressBar = progressItem.querySelector('.progress-bar');
-    const interval = setInterval(() => {
-        progress += Math.random() * 10;
-        if (progress >= 100) {
-            progress = 100;
-            clearInterval(interval);
-            
-            // Add file to list after upload
-            setTimeout(() => {
-                const newFile = {
-                    id: Date.now().toString(),
-                    name: file.name,
-                    size: file.size,
-                    type: file.type,
-                    folderId: currentPath.length > 0 ? currentPath[currentPath.length - 1].id : 'root',
-                    modified: new Date().toISOString(),
-                    created: new Date().toISOString()
-                };
-                
-                currentFiles.push(newFile);
-                renderFileList();
-                showToast(`Uploaded ${file.name}`, 'success');
-                
-                // Remove progress item after a delay
-                setTimeout(() => {
-                    progressItem.remove();
-                    if (document.getElementById('upload-progress').children.length === 0) {
-                        document.getElementById('upload-progress').classList.add('hidden');
-                    }
-                }, 1000);
-            }, 500);
-        }
-        
-        if (progressBar) {
-            progressBar.style.width = `${progress}%`;
-        }
-    }, 200);
-}
-
-// Create new folder
-async function createNewFolder() {
-    const folderNameInput = document.getElementById('new-folder-name');
-    if (!folderNameInput) return;
-    
-    const folderName = folderNameInput.value.trim();
-    
-    if (!folderName) {
-        showToast('Please enter a folder name', 'error');
-        return;
-    }
-    
-    try {
-        const deviceFingerprint = getDeviceFingerprint();
-        const currentFolderId = currentPath.length > 0 ? currentPath[currentPath.length - 1].id : 'root';
-        
-        const { success, error } = await apiFetch('/api/jsonbin', {
-            method: 'POST',
-            body: JSON.stringify({
-                action: 'addFolder',
-                data: { 
-                    name: folderName,
-                    path: currentPath.length > 0 ? `/${currentPath.map(p => p.name).join('/')}/${folderName}` : `/${folderName}`
-                },
-                folderId: currentFolderId,
-                deviceFingerprint
-            }),
-            csrfToken: 'write'
-        });
-        
-        if (success) {
-            showToast(`Folder "${folderName}" created`, 'success');
-            // Reload data
-            await loadFileManagerData();
-            hideModal('create-folder-modal');
-            folderNameInput.value = '';
-        } else {
-            showToast(error || 'Failed to create folder', 'error');
-        }
-    } catch (error) {
-        handleApiError(error, 'Failed to create folder');
-    }
-}
-
-// Show rename modal
-function showRenameModal(type, id) {
-    let currentName = '';
-    
-    if (type === 'file') {
-        const file = currentFiles.find(f => f.id === id);
-        if (file) currentName = file.name;
-    } else {
-        const folder = currentFolders.find(f => f.id === id);
-        if (folder) currentName = folder.name;
-    }
-    
-    if (!currentName) return;
-    
-    const renameInput = document.getElementById('rename-input');
-    if (renameInput) {
-        renameInput.value = currentName;
-        renameInput.focus();
-        renameInput.select();
-    }
-    
-    selectedItem = { type, id, name: currentName };
-    showModal('rename-modal');
-}
-
-// Rename item
-async function renameItem() {
-    const renameInput = document.getElementById('rename-input');
-    if (!renameInput) return;
-    
-    const newName = renameInput.value.trim();
-    
-    if (!newName) {
-        showToast('Please enter a name', 'error');
-        return;
-    }
-    
-    if (!selectedItem) return;
-    
-    try {
-        const deviceFingerprint = getDeviceFingerprint();
-        
-        const { success, error } = await apiFetch('/api/jsonbin', {
-            method: 'POST',
-            body: JSON.stringify({
-                action: 'renameItem',
-                itemType: selectedItem.type,
-                fileId: selectedItem.id,
-                newName: newName,
-                deviceFingerprint
-            }),
-            csrfToken: 'write'
-        });
-        
-        if (success) {
-            showToast(`Renamed to "${newName}"`, 'success');
-            // Reload data
-            await loadFileManagerData();
-            hideModal('rename-modal');
-        } else {
-            showToast(error || 'Failed to rename item', 'error');
-        }
-    } catch (error) {
-        handleApiError(error, 'Failed to rename item');
-    }
-    
-    selectedItem = null;
-}
-
-// Show delete modal
-function showDeleteModal(type, id) {
-    let itemName = '';
-    
-    if (type === 'file') {
-        const file = currentFiles.find(f => f.id === id);
-        if (file) itemName = file.name;
-    } else {
-        const folder = currentFolders.find(f => f.id === id);
-        if (folder) itemName = folder.name;
-    }
-    
-    if (!itemName) return;
-    
-    const deleteItemName = document.getElementById('delete-item-name');
-    if (deleteItemName) {
-        deleteItemName.textContent = `"${itemName}"`;
-    }
-    
-    selectedItem = { type, id, name: itemName };
-    showModal('delete-modal');
-}
-
-// Delete item
-async function deleteItem() {
-    if (!selectedItem) return;
-    
-    try {
-        const deviceFingerprint = getDeviceFingerprint();
-        
-        const { success, error } = await apiFetch('/api/jsonbin', {
-            method: 'POST',
-            body: JSON.stringify({
-                action: 'deleteItem',
-                itemType: selectedItem.type,
-                fileId: selectedItem.id,
-                deviceFingerprint
-            }),
-            csrfToken: 'delete'
-        });
-        
-        if (success) {
-            showToast(`Deleted "${selectedItem.name}"`, 'success');
-            // Reload data
-            await loadFileManagerData();
-            hideModal('delete-modal');
-        } else {
-            showToast(error || 'Failed to delete item', 'error');
-        }
-    } catch (error) {
-        handleApiError(error, 'Failed to delete item');
-    }
-    
-    selectedItem = null;
-}
-
-// Download file
-async function downloadFile(fileId) {
-    const file = currentFiles.find(f => f.id === fileId);
-    if (!file) return;
-    
-    try {
-        showToast(`Downloading "${file.name}"`, 'info');
-        
-        // In a real implementation, this would fetch the actual file content from server
-        // For demo, we'll create a dummy download
-        const blob = new Blob([`Content of ${file.name} (simulated download)`], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = file.name;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        setTimeout(() => {
-            showToast(`Downloaded "${file.name}"`, 'success');
-        }, 1000);
-    } catch (error) {
-        showToast(`Failed to download "${file.name}"`, 'error');
-    }
-}
-
-// Modal functions
-function showModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (!modal) return;
-    
-    modal.classList.remove('hidden');
-    setTimeout(() => {
-        modal.classList.remove('opacity-0');
-        const modalContent = modal.querySelector('div');
-        if (modalContent) {
-            modalContent.classList.remove('scale-95');
-        }
-    }, 10);
-}
-
-function hideModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (!modal) return;
-    
-    modal.classList.add('opacity-0');
-    const modalContent = modal.querySelector('div');
-    if (modalContent) {
-        modalContent.classList.add('scale-95');
-    }
-    setTimeout(() => {
-        modal.classList.add('hidden');
-    }, 300);
-}
+import { showToast, getDeviceFingerprint, formatFileSize, formatDate, timeAgo, debounce, getFileIcon, checkAuth, handleApiError, apiFetch, apiUpload, readFileAsBase64, hashFileSHA256, showRecoveryCodes } from './utils.js';
+
+// Global state
+let currentView = 'files';
+let currentFolderId = 'root';
+let currentPath = [];
+let currentFiles = [];
+let currentFolders = [];
+let selectedItem = null;
+
+// Target folder chosen in the "Move to…" picker
+let moveTargetId = null;
+
+// MIME type used when dragging items within the file manager
+const ITEM_DRAG_TYPE = 'application/x-simplecloud-item';
+
+// Upload limits reported by the server (defaults until storage is loaded)
+let uploadLimits = { maxFileSize: 100 * 1024 * 1024 };
+
+// Space used by this storage and its quota, both as { bytes, files }
+let storageUsage = null;
+let storageQuota = null;
+
+// Folder another storage shared with this one while it is open: { ownerId, folderId, name, role }
+let sharedFolder = null;
+
+// Sidebar folder tree state
+let currentStorageId = null;
+let expandedFolders = new Set(['root']);
+let folderChildren = new Map();
+
+// How many sibling folders the tree renders before offering "Show more"
+const TREE_BATCH_SIZE = 100;
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', async () => {
+    // Initialize icons
+    lucide.createIcons();
+    
+    // Initialize theme
+    initTheme();
+    
+    // Check if user is authenticated
+    const session = await checkAuth();
+    if (!session) {
+        window.location.href = '/';
+        return;
+    }
+    
+    currentStorageId = session.storageId;
+    loadExpandedFolders();
+    
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Follow back/forward navigation and edited #/folder/<id> or #/trash links
+    window.addEventListener('popstate', showCurrentRoute);
+    
+    // Load initial data
+    await loadFileManagerData();
+    loadSharedWithMe();
+    
+    // Hide loading screen
+    setTimeout(() => {
+        document.getElementById('loading-screen').classList.add('opacity-0');
+        document.getElementById('app-container').classList.remove('opacity-0');
+        setTimeout(() => {
+            document.getElementById('loading-screen').classList.add('hidden');
+        }, 500);
+    }, 1000);
+});
+
+// Initialize theme
+function initTheme() {
+    const themeToggle = document.getElementById('theme-toggle');
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const savedTheme = localStorage.getItem('theme');
+    
+    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
+        document.documentElement.classList.add('dark');
+    } else {
+        document.documentElement.classList.remove('dark');
+    }
+    
+    themeToggle.addEventListener('click', () => {
+        if (document.documentElement.classList.contains('dark')) {
+            document.documentElement.classList.remove('dark');
+            localStorage.setItem('theme', 'light');
+        } else {
+            document.documentElement.classList.add('dark');
+            localStorage.setItem('theme', 'dark');
+        }
+        lucide.createIcons();
+    });
+}
+
+// Set up all event listeners
+function setupEventListeners() {
+    // Sidebar toggle for mobile
+    document.getElementById('sidebar-toggle').addEventListener('click', () => {
+        const sidebar = document.getElementById('sidebar');
+        sidebar.classList.toggle('-translate-x-full');
+    });
+    
+    // Logout button
+    document.getElementById('logout-btn').addEventListener('click', async () => {
+        // Revoke the session server-side; the response also clears the cookie
+        await apiFetch('/api/auth', {
+            method: 'POST',
+            body: JSON.stringify({ action: 'logout' })
+        });
+        window.location.href = '/';
+    });
+    
+    // Account / signed-in devices
+    document.getElementById('account-btn').addEventListener('click', showAccountModal);
+    document.getElementById('close-account').addEventListener('click', () => hideModal('account-modal'));
+    document.getElementById('close-versions').addEventListener('click', () => hideModal('versions-modal'));
+    document.getElementById('revoke-other-sessions').addEventListener('click', revokeOtherSessions);
+    document.getElementById('change-password-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        changePassword();
+    });
+    document.getElementById('regenerate-recovery-codes').addEventListener('click', regenerateRecoveryCodes);
+    document.getElementById('delete-account-btn').addEventListener('click', deleteAccount);
+    document.getElementById('enable-totp-btn').addEventListener('click', startTotpSetup);
+    document.getElementById('totp-confirm-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        confirmTotpSetup();
+    });
+    document.getElementById('cancel-totp-setup').addEventListener('click', () => {
+        hideModal('totp-setup-modal');
+        showModal('account-modal');
+    });
+    document.getElementById('disable-totp-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        disableTotp();
+    });
+    document.getElementById('recovery-done').addEventListener('click', () => {
+        hideModal('recovery-modal');
+        showModal('account-modal');
+    });
+    
+    // Upload button
+    document.getElementById('upload-file-btn').addEventListener('click', () => {
+        const uploadArea = document.getElementById('upload-area');
+        uploadArea.classList.toggle('hidden');
+    });
+    
+    // List and grid view
+    document.querySelectorAll('.view-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => setViewMode(btn.dataset.mode));
+    });
+    
+    // File input
+    document.getElementById('file-input').addEventListener('change', handleFileUpload);
+    
+    document.getElementById('select-files-btn').addEventListener('click', () => {
+        document.getElementById('file-input').click();
+    });
+    
+    // Drag and drop
+    const uploadArea = document.getElementById('upload-area');
+    uploadArea.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        uploadArea.classList.add('drag-over');
+    });
+    
+    uploadArea.addEventListener('dragleave', () => {
+        uploadArea.classList.remove('drag-over');
+    });
+    
+    uploadArea.addEventListener('drop', (e) => {
+        e.preventDefault();
+        uploadArea.classList.remove('drag-over');
+        handleDroppedFiles(e.dataTransfer.files);
+    });
+    
+    // Create folder modal
+    document.getElementById('create-folder-btn').addEventListener('click', () => {
+        showModal('create-folder-modal');
+    });
+    
+    document.getElementById('cancel-create-folder').addEventListener('click', () => {
+        hideModal('create-folder-modal');
+    });
+    
+    document.getElementById('confirm-create-folder').addEventListener('click', createNewFolder);
+    
+    // Rename modal
+    document.getElementById('cancel-rename').addEventListener('click', () => {
+        hideModal('rename-modal');
+    });
+    
+    document.getElementById('confirm-rename').addEventListener('click', renameItem);
+    
+    // Delete modal
+    document.getElementById('cancel-delete').addEventListener('click', () => {
+        hideModal('delete-modal');
+    });
+    
+    document.getElementById('confirm-delete').addEventListener('click', deleteItem);
+    
+    // Move / copy modal
+    document.getElementById('cancel-move').addEventListener('click', () => {
+        hideModal('move-modal');
+    });
+    
+    document.getElementById('confirm-move').addEventListener('click', confirmMove);
+    
+    // Trash
+    document.getElementById('trash-link').addEventListener('click', navigateToTrash);
+    document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
+    
+    // Share links
+    document.getElementById('share-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        createShareLink();
+    });
+    document.getElementById('cancel-share').addEventListener('click', () => hideModal('share-modal'));
+    document.getElementById('close-share').addEventListener('click', () => hideModal('share-modal'));
+    document.getElementById('copy-share-url').addEventListener('click', copyShareUrl);
+    document.getElementById('shares-link').addEventListener('click', showSharesModal);
+    document.getElementById('close-shares').addEventListener('click', () => hideModal('shares-modal'));
+    
+    // Search: results follow the typing, and any filter change runs it again
+    const searchAfterTyping = debounce(runSearch, 300);
+    document.getElementById('search-input').addEventListener('input', searchAfterTyping);
+    document.getElementById('search-input').addEventListener('focus', () => {
+        if (document.getElementById('search-results').children.length > 0) {
+            document.getElementById('search-panel').classList.remove('hidden');
+        }
+    });
+    document.getElementById('search-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            document.getElementById('search-panel').classList.add('hidden');
+        }
+    });
+    document.getElementById('search-filters-btn').addEventListener('click', () => {
+        document.getElementById('search-filters').classList.toggle('hidden');
+        document.getElementById('search-panel').classList.remove('hidden');
+    });
+    ['search-type', 'search-min-size', 'search-max-size', 'search-after', 'search-before', 'search-this-folder', 'search-content'].forEach(id => {
+        document.getElementById(id).addEventListener('change', searchAfterTyping);
+    });
+    document.addEventListener('click', (e) => {
+        if (!document.getElementById('search-container').contains(e.target)) {
+            document.getElementById('search-panel').classList.add('hidden');
+        }
+    });
+    
+    // File preview
+    document.getElementById('close-preview').addEventListener('click', closePreview);
+    document.getElementById('preview-download').addEventListener('click', () => {
+        if (previewFile) downloadFile(previewFile.id);
+    });
+    document.getElementById('preview-zoom-in').addEventListener('click', () => zoomPreviewImage(1.25));
+    document.getElementById('preview-zoom-out').addEventListener('click', () => zoomPreviewImage(0.8));
+    document.getElementById('preview-zoom-fit').addEventListener('click', () => zoomPreviewImage(null));
+    
+    // Folders shared with other storage IDs
+    document.getElementById('close-access').addEventListener('click', () => hideModal('access-modal'));
+    document.getElementById('grant-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addGrant();
+    });
+    
+    // New folder name input - allow Enter key to submit
+    document.getElementById('new-folder-name').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            createNewFolder();
+        }
+    });
+    
+    // Rename input - allow Enter key to submit
+    document.getElementById('rename-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            renameItem();
+        }
+    });
+}
+
+// Load file manager data
+async function loadFileManagerData() {
+    try {
+        const deviceFingerprint = getDeviceFingerprint();
+        
+        const { success, data, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: storageBody({
+                action: 'getStorage',
+                folderId: sharedFolder ? sharedFolder.folderId : undefined,
+                deviceFingerprint
+            })
+        });
+        
+        if (success) {
+            currentFiles = data.files || [];
+            currentFolders = data.folders || [];
+            // A shared folder comes with its name and this storage's role in it
+            if (data.sharedFolder) {
+                sharedFolder = data.sharedFolder;
+            }
+            if (data.limits) {
+                uploadLimits = data.limits;
+            }
+            storageUsage = data.usage || null;
+            storageQuota = data.quota || null;
+            renderUsageMeter();
+            showCurrentRoute();
+        } else if (sharedFolder) {
+            // The folder is no longer shared with this storage, so go back Home
+            showToast(error || 'Failed to open shared folder', 'error');
+            sharedFolder = null;
+            history.replaceState(null, '', window.location.pathname);
+            await loadFileManagerData();
+        } else {
+            showToast(error || 'Failed to load storage data', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to load data');
+    }
+}
+
+// Show used space against the quota in the sidebar
+function renderUsageMeter() {
+    const meter = document.getElementById('usage-meter');
+    if (!storageUsage || !storageQuota) {
+        meter.classList.add('hidden');
+        return;
+    }
+    
+    const ratio = Math.min(1, storageUsage.physicalBytes / storageQuota.bytes);
+    const bar = document.getElementById('usage-bar');
+    bar.style.width = `${(ratio * 100).toFixed(1)}%`;
+    bar.classList.toggle('bg-indigo-600', ratio < 0.8);
+    bar.classList.toggle('bg-yellow-500', ratio >= 0.8 && ratio < 0.95);
+    bar.classList.toggle('bg-red-600', ratio >= 0.95);
+    
+    document.getElementById('usage-text').textContent = `${formatFileSize(storageUsage.physicalBytes)} of ${formatFileSize(storageQuota.bytes)}`;
+    document.getElementById('usage-files').textContent = `${storageUsage.files} of ${storageQuota.files} files`;
+    
+    // Duplicates and copies share their content, so files can add up to more than is stored
+    const saved = storageUsage.logicalBytes - storageUsage.physicalBytes;
+    const logical = document.getElementById('usage-logical');
+    logical.textContent = `${formatFileSize(storageUsage.logicalBytes)} in files, ${formatFileSize(saved)} saved by deduplication`;
+    logical.classList.toggle('hidden', saved <= 0);
+    meter.classList.remove('hidden');
+}
+
+// Render file list, as a table or as a grid of cards depending on the folder's view mode
+function renderFileList() {
+    const fileList = document.getElementById('file-list');
+    const fileGrid = document.getElementById('file-grid');
+    const emptyState = document.getElementById('empty-state');
+    
+    if (!fileList || !fileGrid || !emptyState) return;
+    
+    // Clear current list
+    fileList.innerHTML = '';
+    fileGrid.innerHTML = '';
+    
+    // Show the view chosen for this folder
+    const viewMode = getViewMode();
+    document.getElementById('file-table').classList.toggle('hidden', viewMode === 'grid');
+    document.getElementById('file-grid-view').classList.toggle('hidden', viewMode !== 'grid');
+    document.querySelectorAll('.view-mode-btn').forEach(btn => {
+        btn.classList.toggle('view-mode-active', btn.dataset.mode === viewMode);
+    });
+    const container = viewMode === 'grid' ? fileGrid : fileList;
+    
+    // Only show the direct children of the current folder
+    const listedFolders = currentFolders.filter(folder => folder.id !== 'root' && (folder.parentId || 'root') === currentFolderId);
+    const listedFiles = currentFiles.filter(file => (file.folderId || 'root') === currentFolderId);
+    
+    if (listedFiles.length === 0 && listedFolders.length === 0) {
+        emptyState.classList.remove('hidden');
+        return;
+    }
+    
+    emptyState.classList.add('hidden');
+    
+    // Render folders first
+    listedFolders.forEach(folder => {
+        const item = viewMode === 'grid' ? createFolderCard(folder) : createFolderRow(folder);
+        item.dataset.itemId = folder.id;
+        container.appendChild(item);
+        
+        // Add click event to navigate into folder
+        item.querySelector('.item-open').addEventListener('click', () => {
+            navigateToFolder(folder.id);
+        });
+        
+        if (canEdit()) {
+            makeDraggable(item, 'folder', folder.id);
+            makeDropTarget(item, folder.id);
+        }
+    });
+    
+    // Then render files
+    listedFiles.forEach(file => {
+        const item = viewMode === 'grid' ? createFileCard(file) : createFileRow(file);
+        item.dataset.itemId = file.id;
+        container.appendChild(item);
+        
+        // Add download event
+        const downloadBtn = item.querySelector('.download-btn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                downloadFile(file.id);
+            });
+        }
+        
+        item.querySelector('.versions-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showVersionsModal(file.id);
+        });
+        
+        // Clicking anywhere else on the item previews the file
+        item.addEventListener('click', () => showPreview(file.id));
+        
+        if (canEdit()) {
+            makeDraggable(item, 'file', file.id);
+        }
+    });
+    
+    // Add event listeners to action buttons
+    document.querySelectorAll('.rename-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const type = btn.getAttribute('data-type');
+            const id = btn.getAttribute('data-id');
+            showRenameModal(type, id);
+        });
+    });
+    
+    document.querySelectorAll('.move-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showMoveModal(btn.getAttribute('data-mode'), btn.getAttribute('data-type'), btn.getAttribute('data-id'));
+        });
+    });
+    
+    document.querySelectorAll('.share-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showShareModal(btn.getAttribute('data-type'), btn.getAttribute('data-id'));
+        });
+    });
+    
+    document.querySelectorAll('.access-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showAccessModal(btn.getAttribute('data-id'));
+        });
+    });
+    
+    document.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const type = btn.getAttribute('data-type');
+            const id = btn.getAttribute('data-id');
+            showDeleteModal(type, id);
+        });
+    });
+    
+    // Refresh icons
+    setTimeout(() => lucide.createIcons(), 100);
+}
+
+// Action buttons of a folder, the same in both views
+function folderActionButtons(folder) {
+    return `
+        ${canEdit() ? `
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 rename-btn" data-type="folder" data-id="${folder.id}">Rename</button>
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 move-btn" data-mode="move" data-type="folder" data-id="${folder.id}">Move</button>
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 move-btn" data-mode="copy" data-type="folder" data-id="${folder.id}">Copy</button>` : ''}
+        ${sharedFolder ? '' : `<button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 share-btn" data-type="folder" data-id="${folder.id}">Share</button>`}
+        ${canManageAccess() ? `<button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 access-btn" data-id="${folder.id}">Access</button>` : ''}
+        ${canEdit() ? `<button class="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 delete-btn" data-type="folder" data-id="${folder.id}">Delete</button>` : ''}
+    `;
+}
+
+// Action buttons of a file, the same in both views
+function fileActionButtons(file) {
+    return `
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 download-btn" data-id="${file.id}">Download</button>
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 versions-btn" data-id="${file.id}">History${file.versionCount > 1 ? ` (${file.versionCount})` : ''}</button>
+        ${canEdit() ? `
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 rename-btn" data-type="file" data-id="${file.id}">Rename</button>
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 move-btn" data-mode="move" data-type="file" data-id="${file.id}">Move</button>
+        <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 move-btn" data-mode="copy" data-type="file" data-id="${file.id}">Copy</button>` : ''}
+        ${sharedFolder ? '' : `<button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 share-btn" data-type="file" data-id="${file.id}">Share</button>`}
+        ${canEdit() ? `<button class="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 delete-btn" data-type="file" data-id="${file.id}">Delete</button>` : ''}
+    `;
+}
+
+// Get file icon based on type
+function fileTypeIcon(file) {
+    if (file.type && file.type.includes('image')) return 'image';
+    if (file.type && file.type.includes('pdf')) return 'file-text';
+    if (file.type && file.type.includes('zip')) return 'archive';
+    if (file.type && file.type.includes('text')) return 'file-text';
+    if (file.type && file.type.includes('video')) return 'video';
+    if (file.type && file.type.includes('audio')) return 'music';
+    return 'file';
+}
+
+function createFolderRow(folder) {
+    const row = document.createElement('tr');
+    row.className = 'folder-item hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer';
+    row.innerHTML = `
+        <td class="px-6 py-4 whitespace-nowrap">
+            <div class="item-open flex items-center">
+                <i data-lucide="folder" class="w-5 h-5 text-yellow-500 mr-2"></i>
+                <span class="item-name text-sm font-medium text-gray-900 dark:text-gray-100"></span>
+            </div>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">—</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">${formatDate(folder.modified)}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">${folderActionButtons(folder)}</td>
+    `;
+    // Names can come from other accounts through shared folders, so they are never parsed as HTML
+    row.querySelector('.item-name').textContent = folder.name;
+    return row;
+}
+
+function createFileRow(file) {
+    const row = document.createElement('tr');
+    row.className = 'file-item hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer';
+    row.innerHTML = `
+        <td class="px-6 py-4 whitespace-nowrap">
+            <div class="flex items-center">
+                <i data-lucide="${fileTypeIcon(file)}" class="w-5 h-5 text-blue-500 mr-2"></i>
+                <span class="item-name text-sm font-medium text-gray-900 dark:text-gray-100"></span>
+            </div>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">${formatFileSize(file.size)}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">${formatDate(file.modified)}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">${fileActionButtons(file)}</td>
+    `;
+    row.querySelector('.item-name').textContent = file.name;
+    return row;
+}
+
+function createFolderCard(folder) {
+    const card = document.createElement('div');
+    card.className = 'folder-item file-card rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer overflow-hidden';
+    card.innerHTML = `
+        <div class="item-open">
+            <div class="file-card-preview flex items-center justify-center bg-gray-50 dark:bg-gray-700">
+                <i data-lucide="folder" class="w-12 h-12 text-yellow-500"></i>
+            </div>
+            <p class="card-name px-3 pt-2 text-sm font-medium text-gray-900 dark:text-gray-100 truncate"></p>
+            <p class="px-3 text-xs text-gray-500 dark:text-gray-400">${formatDate(folder.modified)}</p>
+        </div>
+        <div class="px-3 pb-2 pt-1 text-xs font-medium">${folderActionButtons(folder)}</div>
+    `;
+    card.querySelector('.card-name').textContent = folder.name;
+    card.querySelector('.card-name').title = folder.name;
+    return card;
+}
+
+function createFileCard(file) {
+    const card = document.createElement('div');
+    card.className = 'file-item file-card rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer overflow-hidden';
+    card.innerHTML = `
+        <div class="file-card-preview flex items-center justify-center bg-gray-50 dark:bg-gray-700">
+            <i data-lucide="${fileTypeIcon(file)}" class="w-12 h-12 text-blue-500"></i>
+        </div>
+        <p class="card-name px-3 pt-2 text-sm font-medium text-gray-900 dark:text-gray-100 truncate"></p>
+        <p class="px-3 text-xs text-gray-500 dark:text-gray-400">${formatFileSize(file.size)} · ${formatDate(file.modified)}</p>
+        <div class="px-3 pb-2 pt-1 text-xs font-medium">${fileActionButtons(file)}</div>
+    `;
+    card.querySelector('.card-name').textContent = file.name;
+    card.querySelector('.card-name').title = file.name;
+    
+    // Images show their thumbnail, keeping the icon if it cannot be loaded
+    if (file.thumbnail) {
+        const preview = card.querySelector('.file-card-preview');
+        const icon = preview.innerHTML;
+        const img = document.createElement('img');
+        img.src = thumbnailUrl(file);
+        img.alt = '';
+        img.loading = 'lazy';
+        img.width = file.thumbnail.width;
+        img.height = file.thumbnail.height;
+        img.draggable = false;
+        img.className = 'max-w-full max-h-full object-contain';
+        img.addEventListener('error', () => {
+            preview.innerHTML = icon;
+            lucide.createIcons();
+        });
+        preview.innerHTML = '';
+        preview.appendChild(img);
+    }
+    return card;
+}
+
+// Thumbnail of a file's current version. Thumbnails may be cached for good, so
+// the version ID is part of the URL and a new version is fetched anew.
+function thumbnailUrl(file) {
+    const params = new URLSearchParams({ action: 'getThumbnail', fileId: file.id, v: file.versionId || '' });
+    if (sharedFolder) params.set('ownerId', sharedFolder.ownerId);
+    return `/api/jsonbin?${params}`;
+}
+
+// List or grid view, remembered per folder. Only folders shown as a grid are
+// saved, as the list is the default; shared folders are keyed by their owner too.
+function viewModeKey() {
+    return `${sharedFolder ? sharedFolder.ownerId : ''}:${currentFolderId}`;
+}
+
+function loadViewModes() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`viewModes:${currentStorageId}`));
+        if (saved && typeof saved === 'object') {
+            return saved;
+        }
+    } catch (e) {
+        // Ignore unreadable saved state and keep the default
+    }
+    return {};
+}
+
+function getViewMode() {
+    return loadViewModes()[viewModeKey()] === 'grid' ? 'grid' : 'list';
+}
+
+function setViewMode(mode) {
+    const viewModes = loadViewModes();
+    if (mode === 'grid') {
+        viewModes[viewModeKey()] = 'grid';
+    } else {
+        delete viewModes[viewModeKey()];
+    }
+    localStorage.setItem(`viewModes:${currentStorageId}`, JSON.stringify(viewModes));
+    renderFileList();
+}
+
+// Render folder tree
+function renderFolderTree() {
+    const folderTree = document.getElementById('folder-tree');
+    if (!folderTree) return;
+    
+    // Index children by parent once so expanding a node is a single lookup
+    folderChildren = new Map();
+    currentFolders.forEach(folder => {
+        if (folder.id === 'root') return;
+        const parentId = folder.parentId || 'root';
+        if (!folderChildren.has(parentId)) {
+            folderChildren.set(parentId, []);
+        }
+        folderChildren.get(parentId).push(folder);
+    });
+    folderChildren.forEach(children => children.sort((a, b) => a.name.localeCompare(b.name)));
+    
+    // Keep the current folder visible by expanding its ancestors
+    if (currentFolderId !== homeFolderId()) {
+        expandedFolders.add(homeFolderId());
+        currentPath.slice(0, -1).forEach(item => expandedFolders.add(item.id));
+    }
+    
+    folderTree.innerHTML = '';
+    folderTree.appendChild(createTreeNode({ id: homeFolderId(), name: homeFolderName() }, 0));
+    
+    lucide.createIcons();
+}
+
+// Create one tree node; its children are only rendered while it is expanded
+function createTreeNode(folder, depth) {
+    const node = document.createElement('div');
+    const hasChildren = folderChildren.has(folder.id);
+    const expanded = hasChildren && expandedFolders.has(folder.id);
+    
+    const row = document.createElement('div');
+    row.className = 'folder-item p-2 rounded cursor-pointer flex items-center hover:bg-gray-100 dark:hover:bg-gray-700';
+    row.style.paddingLeft = `${depth * 12 + 8}px`;
+    row.dataset.folder = folder.id;
+    if (currentView === 'files' && folder.id === currentFolderId) {
+        row.classList.add('tree-item-active');
+    }
+    row.innerHTML = `
+        <button class="tree-toggle w-4 h-4 mr-1 flex-shrink-0 text-gray-400 transition-transform ${expanded ? 'rotate-90' : ''} ${hasChildren ? '' : 'invisible'}">
+            <i data-lucide="chevron-right" class="w-4 h-4"></i>
+        </button>
+        <i data-lucide="${folder.id === homeFolderId() ? 'home' : 'folder'}" class="w-4 h-4 text-yellow-500 mr-2 flex-shrink-0"></i>
+        <span class="text-sm truncate"></span>
+    `;
+    row.querySelector('span').textContent = folder.name;
+    
+    const childList = document.createElement('div');
+    node.append(row, childList);
+    
+    if (expanded) {
+        renderTreeChildren(childList, folder.id, depth + 1, 0);
+    }
+    
+    row.addEventListener('click', () => navigateToFolder(folder.id));
+    makeDropTarget(row, folder.id);
+    
+    row.querySelector('.tree-toggle').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const toggle = e.currentTarget;
+        
+        if (expandedFolders.has(folder.id)) {
+            expandedFolders.delete(folder.id);
+            toggle.classList.remove('rotate-90');
+            childList.innerHTML = '';
+        } else {
+            expandedFolders.add(folder.id);
+            toggle.classList.add('rotate-90');
+            renderTreeChildren(childList, folder.id, depth + 1, 0);
+            lucide.createIcons();
+        }
+        
+        saveExpandedFolders();
+    });
+    
+    return node;
+}
+
+// Render one batch of child nodes, with a "Show more" entry for the rest
+function renderTreeChildren(container, parentId, depth, start) {
+    const children = folderChildren.get(parentId) || [];
+    const batch = children.slice(start, start + TREE_BATCH_SIZE);
+    
+    batch.forEach(child => container.appendChild(createTreeNode(child, depth)));
+    
+    const remaining = children.length - start - batch.length;
+    if (remaining > 0) {
+        const more = document.createElement('button');
+        more.className = 'text-xs text-indigo-600 dark:text-indigo-400 hover:underline py-1';
+        more.style.paddingLeft = `${depth * 12 + 28}px`;
+        more.textContent = `Show ${remaining} more…`;
+        more.addEventListener('click', () => {
+            more.remove();
+            renderTreeChildren(container, parentId, depth, start + TREE_BATCH_SIZE);
+            lucide.createIcons();
+        });
+        container.appendChild(more);
+    }
+}
+
+// Restore which tree nodes this user had expanded
+function loadExpandedFolders() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`folderTree:${currentStorageId}`));
+        if (Array.isArray(saved)) {
+            expandedFolders = new Set(saved);
+        }
+    } catch (e) {
+        // Ignore unreadable saved state and keep the default
+    }
+}
+
+function saveExpandedFolders() {
+    localStorage.setItem(`folderTree:${currentStorageId}`, JSON.stringify([...expandedFolders]));
+}
+
+// Update breadcrumb
+function updateBreadcrumb() {
+    const breadcrumb = document.getElementById('breadcrumb');
+    if (!breadcrumb) return;
+    
+    breadcrumb.innerHTML = '';
+    
+    // In a shared folder, lead with a way back to this storage's own Home
+    if (sharedFolder) {
+        const ownHomeItem = document.createElement('span');
+        ownHomeItem.className = 'breadcrumb-item cursor-pointer hover:text-indigo-600 dark:hover:text-indigo-300';
+        ownHomeItem.textContent = 'Home';
+        ownHomeItem.addEventListener('click', () => openRoute(''));
+        breadcrumb.appendChild(ownHomeItem);
+        
+        const separator = document.createElement('span');
+        separator.className = 'mx-2 text-gray-400';
+        separator.textContent = '/';
+        breadcrumb.appendChild(separator);
+    }
+    
+    // Always show Home (or the shared folder) as the first item of the tree
+    const homeItem = document.createElement('span');
+    homeItem.className = 'breadcrumb-item cursor-pointer hover:text-indigo-600 dark:hover:text-indigo-300';
+    homeItem.textContent = homeFolderName();
+    homeItem.addEventListener('click', () => navigateToFolder(homeFolderId()));
+    makeDropTarget(homeItem, homeFolderId());
+    breadcrumb.appendChild(homeItem);
+    
+    // Add current path items
+    if (currentPath.length > 0) {
+        currentPath.forEach(item => {
+            const separator = document.createElement('span');
+            separator.className = 'mx-2 text-gray-400';
+            separator.textContent = '/';
+            breadcrumb.appendChild(separator);
+            
+            const pathItem = document.createElement('span');
+            pathItem.className = 'breadcrumb-item cursor-pointer hover:text-indigo-600 dark:hover:text-indigo-300';
+            pathItem.textContent = item.name;
+            
+            // Navigate to this folder when clicked
+            pathItem.addEventListener('click', () => navigateToFolder(item.id));
+            makeDropTarget(pathItem, item.id);
+            
+            breadcrumb.appendChild(pathItem);
+        });
+    }
+    
+    // Update current folder title
+    const currentFolderElement = document.getElementById('current-folder');
+    if (currentFolderElement) {
+        currentFolderElement.textContent = 
+            currentPath.length > 0 ? currentPath[currentPath.length - 1].name : (sharedFolder ? sharedFolder.name : 'Files');
+    }
+}
+
+// Link to a folder: #/folder/<id> in this storage, #/shared/<owner>/<shared folder>[/<id>] in a shared one
+function folderRoute(folderId) {
+    if (sharedFolder) {
+        const base = `#/shared/${encodeURIComponent(sharedFolder.ownerId)}/${encodeURIComponent(sharedFolder.folderId)}`;
+        return folderId === sharedFolder.folderId ? base : `${base}/${encodeURIComponent(folderId)}`;
+    }
+    return folderId === 'root' ? '' : `#/folder/${encodeURIComponent(folderId)}`;
+}
+
+// Navigate to folder, recording it in the URL so it survives a reload
+function navigateToFolder(folderId) {
+    openRoute(folderRoute(folderId));
+}
+
+// Record a route in the URL and show it
+function openRoute(hash) {
+    if (window.location.hash !== hash) {
+        history.pushState(null, '', `${window.location.pathname}${hash}`);
+    }
+    showCurrentRoute();
+}
+
+// Show the view named in the URL: #/trash, a #/folder/<id> deep link, a
+// #/shared/... folder of another storage, or Home
+function showCurrentRoute() {
+    // Switching between this storage and a shared folder loads the other tree first
+    const sharedMatch = window.location.hash.match(/^#\/shared\/([^/]+)\/([^/]+)(?:\/(.+))?$/);
+    const routeShare = sharedMatch ? `${decodeURIComponent(sharedMatch[1])}/${decodeURIComponent(sharedMatch[2])}` : null;
+    if (routeShare !== (sharedFolder ? `${sharedFolder.ownerId}/${sharedFolder.folderId}` : null)) {
+        sharedFolder = sharedMatch ? { ownerId: decodeURIComponent(sharedMatch[1]), folderId: decodeURIComponent(sharedMatch[2]) } : null;
+        loadFileManagerData();
+        return;
+    }
+    renderSharedWithMe();
+    document.getElementById('upload-file-btn').classList.toggle('hidden', !canEdit());
+    document.getElementById('create-folder-btn').classList.toggle('hidden', !canEdit());
+    if (!canEdit()) {
+        document.getElementById('upload-area').classList.add('hidden');
+    }
+    
+    if (window.location.hash === '#/trash') {
+        showTrash();
+        return;
+    }
+    
+    currentView = 'files';
+    document.getElementById('files-view').classList.remove('hidden');
+    document.getElementById('trash-view').classList.add('hidden');
+    document.getElementById('trash-link').classList.remove('tree-item-active');
+    
+    const match = window.location.hash.match(/^#\/folder\/(.+)$/);
+    let folderId = homeFolderId();
+    if (sharedMatch && sharedMatch[3]) {
+        folderId = decodeURIComponent(sharedMatch[3]);
+    } else if (match) {
+        folderId = decodeURIComponent(match[1]);
+    }
+    
+    if (folderId !== homeFolderId() && !currentFolders.some(f => f.id === folderId)) {
+        showToast('That folder no longer exists', 'warning');
+        history.replaceState(null, '', `${window.location.pathname}${folderRoute(homeFolderId())}`);
+        folderId = homeFolderId();
+    }
+    
+    currentFolderId = folderId;
+    currentPath = getFolderPath(folderId);
+    updateBreadcrumb();
+    renderFileList();
+    renderFolderTree();
+}
+
+// Open the trash view
+function navigateToTrash() {
+    if (window.location.hash !== '#/trash') {
+        history.pushState(null, '', `${window.location.pathname}#/trash`);
+    }
+    showCurrentRoute();
+}
+
+// Show the trash and load its contents
+async function showTrash() {
+    currentView = 'trash';
+    currentPath = [];
+    updateBreadcrumb();
+    renderFolderTree();
+    
+    document.getElementById('files-view').classList.add('hidden');
+    document.getElementById('trash-view').classList.remove('hidden');
+    document.getElementById('trash-link').classList.add('tree-item-active');
+    
+    await loadTrash();
+}
+
+// Load trashed items from the server
+async function loadTrash() {
+    try {
+        const { success, data, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: JSON.stringify({
+                action: 'listTrash',
+                deviceFingerprint: getDeviceFingerprint()
+            })
+        });
+        
+        if (success) {
+            document.getElementById('trash-retention').textContent =
+                `Items are deleted permanently ${data.retentionDays} day${data.retentionDays !== 1 ? 's' : ''} after they are moved here.`;
+            renderTrashList(data.trash);
+        } else {
+            showToast(error || 'Failed to load trash', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to load trash');
+    }
+}
+
+// Render trashed items, newest first
+function renderTrashList(entries) {
+    const trashList = document.getElementById('trash-list');
+    const emptyState = document.getElementById('trash-empty-state');
+    
+    trashList.innerHTML = '';
+    emptyState.classList.toggle('hidden', entries.length > 0);
+    document.getElementById('empty-trash-btn').disabled = entries.length === 0;
+    
+    entries
+        .slice()
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+        .forEach(entry => {
+            const row = document.createElement('tr');
+            row.className = 'file-item hover:bg-gray-50 dark:hover:bg-gray-700';
+            row.innerHTML = `
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <div class="flex items-center">
+                        <i data-lucide="${entry.itemType === 'folder' ? 'folder' : 'file'}" class="w-5 h-5 ${entry.itemType === 'folder' ? 'text-yellow-500' : 'text-blue-500'} mr-2"></i>
+                        <span class="trash-name text-sm font-medium text-gray-900 dark:text-gray-100"></span>
+                    </div>
+                    <p class="text-xs text-gray-500 dark:text-gray-400 ml-7">${describeRemoval(entry.summary)}</p>
+                </td>
+                <td class="trash-origin px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400"></td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400" title="Purged ${formatDate(entry.expiresAt)}">${timeAgo(entry.deletedAt)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button class="text-indigo-600 hover:text-indigo-900 dark:text-indigo-400 dark:hover:text-indigo-300 mr-3 restore-btn">Restore</button>
+                    <button class="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 purge-btn">Delete Forever</button>
+                </td>
+            `;
+            row.querySelector('.trash-name').textContent = entry.name;
+            row.querySelector('.trash-origin').textContent = entry.originalPath;
+            row.querySelector('.restore-btn').addEventListener('click', () => restoreTrashItem(entry));
+            row.querySelector('.purge-btn').addEventListener('click', () => purgeTrashItem(entry));
+            trashList.appendChild(row);
+        });
+    
+    lucide.createIcons();
+}
+
+// Restore a trashed item to its original folder
+async function restoreTrashItem(entry) {
+    try {
+        const { success, data, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: JSON.stringify({
+                action: 'restoreItem',
+                trashId: entry.id,
+                deviceFingerprint: getDeviceFingerprint()
+            })
+        });
+        
+        if (success) {
+            const where = data.folderId === entry.originalParentId ? entry.originalPath : 'Home';
+            showToast(`Restored "${data.name}" to ${where}`, 'success');
+            await loadFileManagerData();
+        } else {
+            showToast(error || 'Failed to restore item', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to restore item');
+    }
+}
+
+// Permanently delete one trashed item after confirmation
+async function purgeTrashItem(entry) {
+    const confirmed = await askConfirmation({
+        title: 'Delete forever',
+        message: `"${entry.name}" (${describeRemoval(entry.summary)}) will be deleted permanently. This cannot be undone.`,
+        confirmLabel: 'Delete Forever'
+    });
+    if (!confirmed) return;
+    
+    await runTrashDeletion({ action: 'purgeItem', trashId: entry.id }, `Deleted "${entry.name}" permanently`);
+}
+
+// Permanently delete everything in the trash after confirmation
+async function emptyTrash() {
+    const confirmed = await askConfirmation({
+        title: 'Empty trash',
+        message: 'Everything in the trash will be deleted permanently. This cannot be undone.',
+        confirmLabel: 'Empty Trash'
+    });
+    if (!confirmed) return;
+    
+    await runTrashDeletion({ action: 'emptyTrash' }, 'Trash emptied');
+}
+
+async function runTrashDeletion(request, successMessage) {
+    try {
+        const { success, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...request,
+                deviceFingerprint: getDeviceFingerprint()
+            })
+        });
+        
+        if (success) {
+            showToast(successMessage, 'success');
+            // Reloads the trash list and the usage meter
+            await loadFileManagerData();
+        } else {
+            showToast(error || 'Failed to delete items', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to delete items');
+    }
+}
+
+// Build the breadcrumb path (excluding Home or the shared folder) by following parentId links up to it
+function getFolderPath(folderId) {
+    const path = [];
+    const visited = new Set();
+    let folder = currentFolders.find(f => f.id === folderId);
+    
+    while (folder && folder.id !== homeFolderId() && !visited.has(folder.id)) {
+        visited.add(folder.id);
+        path.unshift({ id: folder.id, name: folder.name });
+        folder = currentFolders.find(f => f.id === (folder.parentId || 'root'));
+    }
+    
+    return path;
+}
+
+// Handle file upload
+function handleFileUpload(e) {
+    const files = e.target.files;
+    handleDroppedFiles(files);
+    // Reset the file input
+    e.target.value = '';
+}
+
+function handleDroppedFiles(files) {
+    if (!files || files.length === 0) return;
+    
+    const uploadProgress = document.getElementById('upload-progress');
+    if (!uploadProgress) return;
+    
+    uploadProgress.classList.remove('hidden');
+    
+    Array.from(files).forEach(file => {
+        if (file.size > uploadLimits.maxFileSize) {
+            showToast(`File ${file.name} is too large (max ${formatFileSize(uploadLimits.maxFileSize)})`, 'error');
+            return;
+        }
+        
+        const progressItem = document.createElement('div');
+        progressItem.className = 'flex items-center mb-2';
+        progressItem.innerHTML = `
+            <div class="w-8 h-8 mr-3 bg-gray-200 dark:bg-gray-700 rounded flex items-center justify-center">
+                <i data-lucide="file" class="w-4 h-4 text-gray-500"></i>
+            </div>
+            <div class="flex-1 min-w-0">
+                <div class="flex items-center justify-between">
+                    <p class="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">${file.name}</p>
+                    <span class="upload-status ml-2 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap"></span>
+                </div>
+                <div class="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-1">
+                    <div class="bg-indigo-600 h-2 rounded-full progress-bar" style="width: 0%"></div>
+                </div>
+            </div>
+            <button class="upload-cancel ml-3 text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400" title="Cancel">
+                <i data-lucide="x" class="w-4 h-4"></i>
+            </button>
+            <button class="upload-retry ml-3 text-indigo-600 hover:text-indigo-800 dark:text-indigo-400 dark:hover:text-indigo-300 hidden" title="Retry">
+                <i data-lucide="rotate-cw" class="w-4 h-4"></i>
+            </button>
+        `;
+        uploadProgress.appendChild(progressItem);
+        
+        uploadFile(file, progressItem);
+    });
+    
+    lucide.createIcons();
+}
+
+// Upload a single file in chunks, resuming where an earlier attempt stopped
+async function uploadFile(file, progressItem) {
+    const progressBar = progressItem.querySelector('.progress-bar');
+    const status = progressItem.querySelector('.upload-status');
+    const cancelBtn = progressItem.querySelector('.upload-cancel');
+    const retryBtn = progressItem.querySelector('.upload-retry');
+    let cancelled = false;
+    let request = null;
+    let resumeKey = null;
+    let uploadId = null;
+    
+    progressBar.style.width = '0%';
+    progressBar.classList.remove('bg-red-500');
+    progressBar.classList.add('bg-indigo-600');
+    cancelBtn.classList.remove('hidden');
+    retryBtn.classList.add('hidden');
+    status.textContent = 'Reading…';
+    
+    cancelBtn.onclick = () => {
+        cancelled = true;
+        if (request) request.abort();
+        // Throw away the chunks already sent; a cancelled upload is not resumed
+        if (uploadId) {
+            localStorage.removeItem(resumeKey);
+            callUploadAction({ action: 'cancelUpload', uploadId });
+        }
+    };
+    retryBtn.onclick = () => uploadFile(file, progressItem);
+    
+    const showProgress = (bytes) => {
+        const ratio = file.size > 0 ? Math.min(1, bytes / file.size) : 1;
+        progressBar.style.width = `${Math.round(ratio * 100)}%`;
+        status.textContent = `${formatFileSize(Math.round(bytes))} / ${formatFileSize(file.size)}`;
+    };
+    
+    let sha256;
+    try {
+        sha256 = await hashFileSHA256(file);
+    } catch (error) {
+        failUpload(progressItem, 'Could not read file');
+        return;
+    }
+    
+    if (cancelled) {
+        failUpload(progressItem, 'Cancelled');
+        return;
+    }
+    
+    // Pick up an upload of the same file into the same folder that was interrupted earlier
+    const folderId = getCurrentFolderId();
+    resumeKey = `upload:${sharedFolder ? sharedFolder.ownerId : currentStorageId}:${folderId}:${sha256}:${file.name}`;
+    let upload = null;
+    const savedUploadId = localStorage.getItem(resumeKey);
+    if (savedUploadId) {
+        const resumed = await callUploadAction({ action: 'uploadStatus', uploadId: savedUploadId });
+        if (resumed.success) {
+            upload = { ...resumed.data, uploadId: savedUploadId };
+        } else {
+            localStorage.removeItem(resumeKey);
+        }
+    }
+    
+    if (!upload) {
+        const started = await callUploadAction({
+            action: 'uploadInit',
+            data: {
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                sha256
+            },
+            folderId
+        });
+        if (!started.success) {
+            failUpload(progressItem, 'Failed');
+            showToast(`Failed to upload ${file.name}: ${started.error}`, 'error');
+            return;
+        }
+        // The same content is already stored, so the file was added without sending anything
+        if (started.data.deduplicated) {
+            completeUpload(file, progressItem, started.data);
+            return;
+        }
+        upload = started.data;
+        localStorage.setItem(resumeKey, upload.uploadId);
+    }
+    uploadId = upload.uploadId;
+    
+    // Send the chunks the server does not have yet
+    const received = new Set(upload.received);
+    const chunkBytes = (i) => Math.max(0, Math.min(upload.chunkSize, file.size - i * upload.chunkSize));
+    let doneBytes = [...received].reduce((total, i) => total + chunkBytes(i), 0);
+    showProgress(doneBytes);
+    
+    for (let i = 0; i < upload.chunkCount; i++) {
+        if (received.has(i)) continue;
+        
+        if (cancelled) {
+            failUpload(progressItem, 'Cancelled');
+            return;
+        }
+        
+        let data;
+        try {
+            data = await readFileAsBase64(file.slice(i * upload.chunkSize, i * upload.chunkSize + upload.chunkSize));
+        } catch (error) {
+            failUpload(progressItem, 'Could not read file');
+            return;
+        }
+        
+        request = apiUpload('/api/jsonbin', {
+            method: 'PUT',
+            body: storageBody({
+                action: 'uploadChunk',
+                uploadId,
+                index: i,
+                data
+            }),
+            // The request body is base64 JSON, so scale progress to the chunk's own size
+            onProgress: (loaded, total) => showProgress(doneBytes + (total > 0 ? loaded / total : 0) * chunkBytes(i))
+        });
+        
+        const { success, error, aborted } = await request.promise;
+        if (!success) {
+            failUpload(progressItem, aborted ? 'Cancelled' : 'Interrupted');
+            if (!aborted) {
+                showToast(`Upload of ${file.name} was interrupted: ${error}. Retry to continue where it stopped.`, 'error');
+            }
+            return;
+        }
+        
+        doneBytes += chunkBytes(i);
+        showProgress(doneBytes);
+    }
+    
+    status.textContent = 'Verifying…';
+    const { success, data, error, status: httpStatus } = await callUploadAction({ action: 'uploadFinalize', uploadId });
+    
+    if (!success) {
+        // A hash mismatch or an expired upload has to start over; anything else can resume
+        if (httpStatus === 404 || httpStatus === 422) {
+            localStorage.removeItem(resumeKey);
+        }
+        failUpload(progressItem, 'Failed');
+        showToast(`Failed to upload ${file.name}: ${error}`, 'error');
+        return;
+    }
+    localStorage.removeItem(resumeKey);
+    completeUpload(file, progressItem, data);
+}
+
+// Show a finished upload and add the new file to the list
+function completeUpload(file, progressItem, data) {
+    progressItem.querySelector('.progress-bar').style.width = '100%';
+    progressItem.querySelector('.upload-status').textContent = data.deduplicated ? 'Already stored' : 'Done';
+    progressItem.querySelector('.upload-cancel').classList.add('hidden');
+    
+    // A same-name upload updates the existing file instead of adding one
+    const existingIndex = currentFiles.findIndex(f => f.id === data.file.id);
+    if (existingIndex === -1) {
+        currentFiles.push(data.file);
+    } else {
+        currentFiles[existingIndex] = data.file;
+    }
+    if (data.usage) {
+        storageUsage = data.usage;
+        renderUsageMeter();
+    }
+    renderFileList();
+    showToast(data.newVersion ? `Uploaded a new version of ${file.name}` : `Uploaded ${file.name}`, 'success');
+    
+    // Remove progress item after a delay
+    setTimeout(() => {
+        progressItem.remove();
+        const uploadProgress = document.getElementById('upload-progress');
+        if (uploadProgress && uploadProgress.children.length === 0) {
+            uploadProgress.classList.add('hidden');
+        }
+    }, 1000);
+}
+
+// Send one of the JSON upload actions (init, status, finalize, cancel)
+function callUploadAction(body) {
+    return apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            ...body,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+}
+
+// Mark an upload row as failed and offer a retry
+function failUpload(progressItem, message) {
+    const progressBar = progressItem.querySelector('.progress-bar');
+    progressBar.classList.remove('bg-indigo-600');
+    progressBar.classList.add('bg-red-500');
+    progressItem.querySelector('.upload-status').textContent = message;
+    progressItem.querySelector('.upload-cancel').classList.add('hidden');
+    progressItem.querySelector('.upload-retry').classList.remove('hidden');
+}
+
+// Get the ID of the folder currently being viewed
+function getCurrentFolderId() {
+    return currentFolderId;
+}
+
+// The folder the breadcrumb and sidebar tree start at: Home, or the open shared folder
+function homeFolderId() {
+    return sharedFolder ? sharedFolder.folderId : 'root';
+}
+
+function homeFolderName() {
+    return sharedFolder ? sharedFolder.name || 'Shared folder' : 'Home';
+}
+
+// Viewers of a shared folder can only browse and download
+function canEdit() {
+    return !sharedFolder || sharedFolder.role !== 'viewer';
+}
+
+// Who has access to a folder is managed by its storage and by grantees with the owner role
+function canManageAccess() {
+    return !sharedFolder || sharedFolder.role === 'owner';
+}
+
+// Request body for actions on the open folder; in a shared folder they go to its owner's storage
+function storageBody(fields) {
+    return JSON.stringify(sharedFolder ? { ...fields, ownerId: sharedFolder.ownerId } : fields);
+}
+
+// Create new folder
+async function createNewFolder() {
+    const folderNameInput = document.getElementById('new-folder-name');
+    if (!folderNameInput) return;
+    
+    const folderName = folderNameInput.value.trim();
+    
+    if (!folderName) {
+        showToast('Please enter a folder name', 'error');
+        return;
+    }
+    
+    try {
+        const deviceFingerprint = getDeviceFingerprint();
+        const currentFolderId = getCurrentFolderId();
+        
+        const { success, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: storageBody({
+                action: 'addFolder',
+                data: { 
+                    name: folderName,
+                    path: currentPath.length > 0 ? `/${currentPath.map(p => p.name).join('/')}/${folderName}` : `/${folderName}`
+                },
+                folderId: currentFolderId,
+                deviceFingerprint
+            })
+        });
+        
+        if (success) {
+            showToast(`Folder "${folderName}" created`, 'success');
+            // Reload data
+            await loadFileManagerData();
+            hideModal('create-folder-modal');
+            folderNameInput.value = '';
+        } else {
+            showToast(error || 'Failed to create folder', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to create folder');
+    }
+}
+
+// Show rename modal
+function showRenameModal(type, id) {
+    let currentName = '';
+    
+    if (type === 'file') {
+        const file = currentFiles.find(f => f.id === id);
+        if (file) currentName = file.name;
+    } else {
+        const folder = currentFolders.find(f => f.id === id);
+        if (folder) currentName = folder.name;
+    }
+    
+    if (!currentName) return;
+    
+    const renameInput = document.getElementById('rename-input');
+    if (renameInput) {
+        renameInput.value = currentName;
+        renameInput.focus();
+        renameInput.select();
+    }
+    
+    selectedItem = { type, id, name: currentName };
+    showModal('rename-modal');
+}
+
+// Rename item
+async function renameItem() {
+    const renameInput = document.getElementById('rename-input');
+    if (!renameInput) return;
+    
+    const newName = renameInput.value.trim();
+    
+    if (!newName) {
+        showToast('Please enter a name', 'error');
+        return;
+    }
+    
+    if (!selectedItem) return;
+    
+    try {
+        const deviceFingerprint = getDeviceFingerprint();
+        
+        const { success, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: storageBody({
+                action: 'renameItem',
+                itemType: selectedItem.type,
+                fileId: selectedItem.id,
+                newName: newName,
+                deviceFingerprint
+            })
+        });
+        
+        if (success) {
+            showToast(`Renamed to "${newName}"`, 'success');
+            // Reload data
+            await loadFileManagerData();
+            hideModal('rename-modal');
+        } else {
+            showToast(error || 'Failed to rename item', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to rename item');
+    }
+    
+    selectedItem = null;
+}
+
+// Show delete modal
+async function showDeleteModal(type, id) {
+    let itemName = '';
+    
+    if (type === 'file') {
+        const file = currentFiles.find(f => f.id === id);
+        if (file) itemName = file.name;
+    } else {
+        const folder = currentFolders.find(f => f.id === id);
+        if (folder) itemName = folder.name;
+    }
+    
+    if (!itemName) return;
+    
+    const deleteItemName = document.getElementById('delete-item-name');
+    if (deleteItemName) {
+        deleteItemName.textContent = `"${itemName}"`;
+    }
+    
+    const deleteSummary = document.getElementById('delete-summary');
+    const confirmButton = document.getElementById('confirm-delete');
+    deleteSummary.textContent = 'Calculating what will be removed…';
+    confirmButton.disabled = true;
+    
+    selectedItem = { type, id, name: itemName };
+    showModal('delete-modal');
+    
+    // Ask the server what the delete covers before it can be confirmed
+    const { success, data, error } = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action: 'getDeleteSummary',
+            itemType: type,
+            fileId: id,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    // The modal may have been closed or reused while the request was running
+    if (!selectedItem || selectedItem.id !== id) return;
+    
+    if (success) {
+        deleteSummary.textContent = `This removes ${describeRemoval(data.summary)}.`;
+        confirmButton.disabled = false;
+    } else {
+        showToast(error || 'Failed to prepare delete', 'error');
+        hideModal('delete-modal');
+        selectedItem = null;
+    }
+}
+
+// Describe a deletion summary, e.g. "2 folders and 5 files (1.2 MB)"
+function describeRemoval(summary) {
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+    const parts = [];
+    if (summary.folders > 0) parts.push(plural(summary.folders, 'folder'));
+    parts.push(plural(summary.files, 'file'));
+    return `${parts.join(' and ')} (${formatFileSize(summary.bytes)})`;
+}
+
+// Delete item
+async function deleteItem() {
+    if (!selectedItem) return;
+    
+    try {
+        const deviceFingerprint = getDeviceFingerprint();
+        
+        const { success, data, error } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: storageBody({
+                action: 'deleteItem',
+                itemType: selectedItem.type,
+                fileId: selectedItem.id,
+                deviceFingerprint
+            })
+        });
+        
+        if (success) {
+            showToast(`Moved "${selectedItem.name}" to the trash: ${describeRemoval(data.summary)}`, 'success');
+            // Reload data
+            await loadFileManagerData();
+            hideModal('delete-modal');
+        } else {
+            showToast(error || 'Failed to delete item', 'error');
+        }
+    } catch (error) {
+        handleApiError(error, 'Failed to delete item');
+    }
+    
+    selectedItem = null;
+}
+
+// Let a file or folder row be dragged onto a folder
+function makeDraggable(element, type, id) {
+    element.draggable = true;
+    element.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(ITEM_DRAG_TYPE, JSON.stringify({ type, id }));
+        e.dataTransfer.effectAllowed = 'copyMove';
+    });
+}
+
+// Accept dragged items on a folder; holding Ctrl/Alt copies instead of moving
+function makeDropTarget(element, folderId) {
+    element.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? 'copy' : 'move';
+        element.classList.add('drop-target');
+    });
+    
+    element.addEventListener('dragleave', () => {
+        element.classList.remove('drop-target');
+    });
+    
+    element.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        element.classList.remove('drop-target');
+        
+        const item = JSON.parse(e.dataTransfer.getData(ITEM_DRAG_TYPE));
+        if (item.type === 'folder' && item.id === folderId) return;
+        
+        transferItem(e.ctrlKey || e.altKey ? 'copy' : 'move', item, folderId);
+    });
+}
+
+// Show the "Move to…" / "Copy to…" picker for an item
+function showMoveModal(mode, type, id) {
+    const item = type === 'file' ? currentFiles.find(f => f.id === id) : currentFolders.find(f => f.id === id);
+    if (!item) return;
+    
+    selectedItem = { type, id, name: item.name, mode };
+    moveTargetId = null;
+    
+    document.getElementById('move-modal-title').textContent = `${mode === 'copy' ? 'Copy' : 'Move'} "${item.name}" to…`;
+    document.getElementById('confirm-move').textContent = mode === 'copy' ? 'Copy here' : 'Move here';
+    document.getElementById('confirm-move').disabled = true;
+    
+    const list = document.getElementById('move-folder-list');
+    list.innerHTML = '';
+    
+    // A folder cannot go into itself or anything below it
+    const excluded = new Set();
+    if (type === 'folder') {
+        excluded.add(id);
+        currentFolders.forEach(folder => {
+            if (getFolderPath(folder.id).some(p => p.id === id)) excluded.add(folder.id);
+        });
+    }
+    
+    const addOption = (folderId, name, depth) => {
+        const option = document.createElement('div');
+        option.className = 'move-option p-2 rounded flex items-center text-sm';
+        option.style.paddingLeft = `${depth * 16 + 8}px`;
+        option.innerHTML = `<i data-lucide="${folderId === homeFolderId() ? 'home' : 'folder'}" class="w-4 h-4 text-yellow-500 mr-2 flex-shrink-0"></i><span class="truncate"></span>`;
+        option.querySelector('span').textContent = name;
+        
+        if (excluded.has(folderId)) {
+            option.classList.add('opacity-40', 'cursor-not-allowed');
+        } else {
+            option.classList.add('cursor-pointer', 'hover:bg-gray-100', 'dark:hover:bg-gray-700');
+            option.addEventListener('click', () => {
+                list.querySelectorAll('.move-option').forEach(o => o.classList.remove('tree-item-active'));
+                option.classList.add('tree-item-active');
+                moveTargetId = folderId;
+                document.getElementById('confirm-move').disabled = false;
+            });
+        }
+        list.appendChild(option);
+        
+        (folderChildren.get(folderId) || []).forEach(child => addOption(child.id, child.name, depth + 1));
+    };
+    addOption(homeFolderId(), homeFolderName(), 0);
+    
+    showModal('move-modal');
+    lucide.createIcons();
+}
+
+// Confirm the folder picked in the move modal
+async function confirmMove() {
+    if (!selectedItem || !moveTargetId) return;
+    
+    const { mode, type, id } = selectedItem;
+    hideModal('move-modal');
+    await transferItem(mode, { type, id }, moveTargetId);
+    selectedItem = null;
+}
+
+// Move or copy an item, asking how to resolve a name collision if the server reports one
+async function transferItem(mode, item, targetFolderId, conflictPolicy) {
+    try {
+        const { success, data, error, status } = await apiFetch('/api/jsonbin', {
+            method: 'POST',
+            body: storageBody({
+                action: mode === 'copy' ? 'copyItem' : 'moveItem',
+                itemType: item.type,
+                fileId: item.id,
+                targetFolderId,
+                conflictPolicy,
+                deviceFingerprint: getDeviceFingerprint()
+            })
+        });
+        
+        if (success) {
+            const name = data.item ? data.item.name : 'Item';
+            if (data.result === 'skipped') {
+                showToast(`Skipped "${name}"`, 'info');
+            } else if (data.result !== 'unchanged') {
+                showToast(`${mode === 'copy' ? 'Copied' : 'Moved'} "${name}"`, 'success');
+                await loadFileManagerData();
+            }
+            return;
+        }
+        
+        if (status === 409 && data && data.conflict && !conflictPolicy) {
+            const policy = await askConflictPolicy(data.conflict.name);
+            if (policy) {
+                await transferItem(mode, item, targetFolderId, policy);
+            }
+            return;
+        }
+        
+        showToast(error || `Failed to ${mode} item`, 'error');
+    } catch (error) {
+        handleApiError(error, `Failed to ${mode} item`);
+    }
+}
+
+// Ask how to handle a name collision; resolves to 'rename', 'overwrite', 'skip' or null (cancel)
+function askConflictPolicy(name) {
+    document.getElementById('conflict-item-name').textContent = `"${name}"`;
+    showModal('conflict-modal');
+    
+    return new Promise(resolve => {
+        const buttons = document.querySelectorAll('#conflict-modal [data-policy]');
+        const choose = (policy) => {
+            buttons.forEach(btn => { btn.onclick = null; });
+            hideModal('conflict-modal');
+            resolve(policy || null);
+        };
+        buttons.forEach(btn => {
+            btn.onclick = () => choose(btn.getAttribute('data-policy'));
+        });
+    });
+}
+
+// Ask the user to confirm a destructive action; resolves to true or false
+function askConfirmation({ title, message, confirmLabel = 'Confirm' }) {
+    document.getElementById('confirm-title').textContent = title;
+    document.getElementById('confirm-message').textContent = message;
+    document.getElementById('confirm-ok').textContent = confirmLabel;
+    showModal('confirm-modal');
+    
+    return new Promise(resolve => {
+        const okButton = document.getElementById('confirm-ok');
+        const cancelButton = document.getElementById('confirm-cancel');
+        const choose = (confirmed) => {
+            okButton.onclick = null;
+            cancelButton.onclick = null;
+            hideModal('confirm-modal');
+            resolve(confirmed);
+        };
+        okButton.onclick = () => choose(true);
+        cancelButton.onclick = () => choose(false);
+    });
+}
+
+// Show the account settings and signed-in devices
+async function showAccountModal() {
+    document.getElementById('session-list').innerHTML = `
+        <li class="py-3 text-sm text-gray-500 dark:text-gray-400">Loading sessions...</li>
+    `;
+    showModal('account-modal');
+    await Promise.all([loadAccountInfo(), loadSessions()]);
+}
+
+// Show how many recovery codes are left and whether two-factor is on
+async function loadAccountInfo() {
+    const status = document.getElementById('recovery-status');
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'getAccount' })
+    });
+    
+    if (!result.success) {
+        status.textContent = '';
+        return;
+    }
+    
+    const { twoFactorEnabled } = result.data;
+    document.getElementById('totp-status').textContent = twoFactorEnabled
+        ? 'Enabled. Logging in asks for a code from your authenticator app.'
+        : 'Off. Add a code from an authenticator app to every login.';
+    document.getElementById('enable-totp-btn').classList.toggle('hidden', twoFactorEnabled);
+    document.getElementById('disable-totp-form').classList.toggle('hidden', !twoFactorEnabled);
+    
+    const remaining = result.data.recoveryCodesRemaining;
+    status.textContent = remaining > 0
+        ? `${remaining} unused recovery code(s) left. Generating new codes replaces all of them.`
+        : 'No recovery codes left. Generate a new set so you can still reset a forgotten password.';
+}
+
+// Start two-factor enrollment and show the QR code
+async function startTotpSetup() {
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'setupTotp' })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to start two-factor setup', 'error');
+        return;
+    }
+    
+    const qr = document.getElementById('totp-qr');
+    qr.innerHTML = '';
+    new QRCode(qr, { text: result.data.uri, width: 180, height: 180 });
+    document.getElementById('totp-secret').textContent = result.data.secret.replace(/(.{4})/g, '$1 ').trim();
+    document.getElementById('totp-confirm-form').reset();
+    
+    hideModal('account-modal');
+    showModal('totp-setup-modal');
+}
+
+// Finish enrollment with the first code from the app
+async function confirmTotpSetup() {
+    const code = document.getElementById('totp-confirm-code').value;
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'confirmTotp', code })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to enable two-factor authentication', 'error');
+        return;
+    }
+    
+    showToast('Two-factor authentication enabled', 'success');
+    hideModal('totp-setup-modal');
+    showModal('account-modal');
+    loadAccountInfo();
+}
+
+// Turn two-factor off with a current code
+async function disableTotp() {
+    const form = document.getElementById('disable-totp-form');
+    const code = document.getElementById('disable-totp-code').value;
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'disableTotp', code })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to disable two-factor authentication', 'error');
+        return;
+    }
+    
+    form.reset();
+    showToast('Two-factor authentication disabled', 'success');
+    loadAccountInfo();
+}
+
+// Change the password; other devices get signed out
+async function changePassword() {
+    const form = document.getElementById('change-password-form');
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'changePassword', currentPassword, newPassword })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to change password', 'error');
+        return;
+    }
+    
+    form.reset();
+    showToast(result.data.revoked > 0
+        ? `Password changed. Signed out ${result.data.revoked} other device(s).`
+        : 'Password changed', 'success');
+    await loadSessions();
+}
+
+// Replace the recovery codes and show the new set once
+async function regenerateRecoveryCodes() {
+    hideModal('account-modal');
+    const password = await askPassword({
+        title: 'Generate new recovery codes?',
+        message: 'Your current recovery codes will stop working.',
+        confirmLabel: 'Generate'
+    });
+    if (password === null) {
+        showModal('account-modal');
+        return;
+    }
+    
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'regenerateRecoveryCodes', password })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to generate recovery codes', 'error');
+        showModal('account-modal');
+        return;
+    }
+    
+    showRecoveryCodes(result.data.recoveryCodes, currentStorageId);
+    showModal('recovery-modal');
+    loadAccountInfo();
+}
+
+// Delete the whole storage after confirming the password
+async function deleteAccount() {
+    hideModal('account-modal');
+    const password = await askPassword({
+        title: 'Delete this storage?',
+        message: `"${currentStorageId}" and every file in it will be removed permanently.`,
+        confirmLabel: 'Delete forever'
+    });
+    if (password === null) {
+        showModal('account-modal');
+        return;
+    }
+    
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'deleteAccount', password })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to delete storage', 'error');
+        showModal('account-modal');
+        return;
+    }
+    
+    showToast('Storage deleted', 'success');
+    setTimeout(() => {
+        window.location.href = '/';
+    }, 1000);
+}
+
+// Fetch and render the session list
+async function loadSessions() {
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'listSessions' })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to load sessions', 'error');
+        return;
+    }
+    
+    const list = document.getElementById('session-list');
+    list.innerHTML = '';
+    
+    result.data.sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'py-3 flex items-center justify-between';
+        item.innerHTML = `
+            <div class="min-w-0">
+                <p class="text-sm font-medium text-gray-800 dark:text-gray-200 truncate"></p>
+                <p class="text-xs text-gray-500 dark:text-gray-400"></p>
+            </div>
+        `;
+        const [device, meta] = item.querySelectorAll('p');
+        device.textContent = session.device;
+        meta.textContent = `${session.ip || 'Unknown IP'} · active ${timeAgo(session.lastSeen)}`;
+        
+        if (session.current) {
+            const badge = document.createElement('span');
+            badge.className = 'ml-2 px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-200';
+            badge.textContent = 'This device';
+            device.appendChild(badge);
+        }
+        
+        const revokeButton = document.createElement('button');
+        revokeButton.className = 'ml-4 text-sm text-red-600 dark:text-red-400 hover:underline';
+        revokeButton.textContent = session.current ? 'Sign out' : 'Revoke';
+        revokeButton.addEventListener('click', () => revokeSession(session.id));
+        item.appendChild(revokeButton);
+        
+        list.appendChild(item);
+    });
+}
+
+// Revoke a single session
+async function revokeSession(sessionId) {
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'revokeSession', sessionId })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to revoke session', 'error');
+        return;
+    }
+    
+    if (result.data.signedOut) {
+        window.location.href = '/';
+        return;
+    }
+    
+    showToast('Session revoked', 'success');
+    await loadSessions();
+}
+
+// Revoke every session except the one making the request
+async function revokeOtherSessions() {
+    hideModal('account-modal');
+    const confirmed = await askConfirmation({
+        title: 'Sign out other devices?',
+        message: 'Every other browser signed in to this storage will have to log in again.',
+        confirmLabel: 'Sign out'
+    });
+    if (!confirmed) {
+        showModal('account-modal');
+        return;
+    }
+    
+    const result = await apiFetch('/api/auth', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'revokeAllSessions', exceptCurrent: true })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to sign out other devices', 'error');
+        return;
+    }
+    
+    showToast(`Signed out ${result.data.revoked} other device(s)`, 'success');
+    showModal('account-modal');
+    await loadSessions();
+}
+
+// Ask for the account password; resolves to the password, or null when cancelled
+function askPassword({ title, message, confirmLabel = 'Confirm' }) {
+    const form = document.getElementById('password-prompt-form');
+    const input = document.getElementById('password-prompt-input');
+    document.getElementById('password-prompt-title').textContent = title;
+    document.getElementById('password-prompt-message').textContent = message;
+    document.getElementById('password-prompt-ok').textContent = confirmLabel;
+    form.reset();
+    showModal('password-prompt-modal');
+    input.focus();
+    
+    return new Promise(resolve => {
+        const cancelButton = document.getElementById('password-prompt-cancel');
+        const choose = (password) => {
+            form.onsubmit = null;
+            cancelButton.onclick = null;
+            hideModal('password-prompt-modal');
+            resolve(password);
+        };
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            choose(input.value);
+        };
+        cancelButton.onclick = () => choose(null);
+    });
+}
+
+// Open the version history of a file
+async function showVersionsModal(fileId) {
+    const file = currentFiles.find(f => f.id === fileId);
+    if (!file) return;
+    
+    document.getElementById('versions-title').textContent = `Versions of ${file.name}`;
+    document.getElementById('version-list').innerHTML = '';
+    showModal('versions-modal');
+    await loadVersions(fileId);
+}
+
+// Load and render the versions of a file, newest first
+async function loadVersions(fileId) {
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action: 'listVersions',
+            fileId,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to load versions', 'error');
+        return;
+    }
+    
+    renderVersionList(fileId, result.data.versions);
+    document.getElementById('versions-limit').textContent =
+        `Uploading a file with the same name adds a new version. The last ${result.data.limit} versions are kept.`;
+}
+
+// Render version rows with download, restore and delete actions
+function renderVersionList(fileId, versions) {
+    const list = document.getElementById('version-list');
+    list.innerHTML = '';
+    
+    versions.forEach(version => {
+        const item = document.createElement('li');
+        item.className = 'py-3 flex items-center justify-between';
+        item.innerHTML = `
+            <div class="min-w-0">
+                <p class="text-sm font-medium text-gray-800 dark:text-gray-200"></p>
+                <p class="text-xs text-gray-500 dark:text-gray-400 truncate"></p>
+            </div>
+            <div class="ml-4 flex-shrink-0 text-sm space-x-3"></div>
+        `;
+        const [when, meta] = item.querySelectorAll('p');
+        when.textContent = formatDate(version.created);
+        when.title = version.sha256 ? `SHA-256 ${version.sha256}` : '';
+        meta.textContent = `${formatFileSize(version.size)} · ${version.author || 'Unknown device'}`;
+        
+        if (version.current) {
+            const badge = document.createElement('span');
+            badge.className = 'ml-2 px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-200';
+            badge.textContent = 'Current';
+            when.appendChild(badge);
+        }
+        
+        const actions = item.querySelector('div:last-child');
+        const addAction = (label, className, handler) => {
+            const button = document.createElement('button');
+            button.className = className;
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+        
+        if (version.current) {
+            addAction('Download', 'text-indigo-600 dark:text-indigo-400 hover:underline', () => downloadFile(fileId));
+        } else if (!canEdit()) {
+            addAction('Download', 'text-indigo-600 dark:text-indigo-400 hover:underline', () => downloadFile(fileId, version));
+        } else {
+            addAction('Download', 'text-indigo-600 dark:text-indigo-400 hover:underline', () => downloadFile(fileId, version));
+            addAction('Restore', 'text-indigo-600 dark:text-indigo-400 hover:underline', () => changeVersion('restoreVersion', fileId, version));
+            addAction('Delete', 'text-red-600 dark:text-red-400 hover:underline', () => changeVersion('deleteVersion', fileId, version));
+        }
+        
+        list.appendChild(item);
+    });
+}
+
+// Restore an earlier version as current, or delete it after confirming
+async function changeVersion(action, fileId, version) {
+    if (action === 'deleteVersion') {
+        hideModal('versions-modal');
+        const confirmed = await askConfirmation({
+            title: 'Delete this version?',
+            message: `The version from ${formatDate(version.created)} will be removed from the history. This cannot be undone.`,
+            confirmLabel: 'Delete'
+        });
+        showModal('versions-modal');
+        if (!confirmed) return;
+    }
+    
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action,
+            fileId,
+            versionId: version.id,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to update version history', 'error');
+        return;
+    }
+    
+    const index = currentFiles.findIndex(f => f.id === fileId);
+    if (index !== -1) {
+        currentFiles[index] = result.data.file;
+    }
+    storageUsage = result.data.usage;
+    renderUsageMeter();
+    renderFileList();
+    renderVersionList(fileId, result.data.versions);
+    showToast(action === 'restoreVersion' ? 'Version restored' : 'Version deleted', 'success');
+}
+
+// Open the share dialog for a file or folder
+function showShareModal(type, id) {
+    const item = type === 'file' ? currentFiles.find(f => f.id === id) : currentFolders.find(f => f.id === id);
+    if (!item) return;
+    
+    selectedItem = { type, id, name: item.name };
+    document.getElementById('share-title').textContent = `Share "${item.name}"`;
+    document.getElementById('share-form').reset();
+    document.getElementById('share-form').classList.remove('hidden');
+    document.getElementById('share-result').classList.add('hidden');
+    document.getElementById('confirm-share').disabled = false;
+    showModal('share-modal');
+}
+
+// Public address of a share link
+function shareUrl(share) {
+    return `${location.origin}/s/${share.token}`;
+}
+
+// Create a link for the selected item with the options from the share dialog
+async function createShareLink() {
+    if (!selectedItem) return;
+    
+    const expiry = document.getElementById('share-expiry').value;
+    const confirmButton = document.getElementById('confirm-share');
+    confirmButton.disabled = true;
+    
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: JSON.stringify({
+            action: 'createShare',
+            itemType: selectedItem.type,
+            fileId: selectedItem.id,
+            data: {
+                // datetime-local has no time zone; the browser reads it as local time
+                expiresAt: expiry ? new Date(expiry).toISOString() : null,
+                password: document.getElementById('share-password').value || null,
+                maxDownloads: document.getElementById('share-max-downloads').value || null
+            },
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    confirmButton.disabled = false;
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to create share link', 'error');
+        return;
+    }
+    
+    document.getElementById('share-form').classList.add('hidden');
+    document.getElementById('share-result').classList.remove('hidden');
+    const urlInput = document.getElementById('share-url');
+    urlInput.value = shareUrl(result.data.share);
+    urlInput.select();
+    showToast(`Created a share link for "${selectedItem.name}"`, 'success');
+}
+
+async function copyShareUrl() {
+    try {
+        await navigator.clipboard.writeText(document.getElementById('share-url').value);
+        showToast('Link copied', 'success');
+    } catch (error) {
+        showToast('Could not copy to the clipboard', 'error');
+    }
+}
+
+// Open the list of this storage's share links
+async function showSharesModal() {
+    document.getElementById('share-list').innerHTML = '';
+    document.getElementById('shares-empty-state').classList.add('hidden');
+    showModal('shares-modal');
+    
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: JSON.stringify({
+            action: 'listShares',
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to load share links', 'error');
+        return;
+    }
+    
+    renderShareList(result.data.shares);
+}
+
+// Describe how a share link is limited, e.g. "Password · 3 of 5 downloads · Expires ..."
+function describeShareLimits(share) {
+    const parts = [];
+    if (share.passwordProtected) parts.push('Password');
+    parts.push(share.maxDownloads ? `${share.downloads} of ${share.maxDownloads} downloads` : `${share.downloads} download${share.downloads !== 1 ? 's' : ''}`);
+    if (share.expiresAt) parts.push(`${share.expired ? 'Expired' : 'Expires'} ${formatDate(share.expiresAt)}`);
+    return parts.join(' · ');
+}
+
+// Render share rows, newest first, with copy and revoke actions
+function renderShareList(shares) {
+    const list = document.getElementById('share-list');
+    list.innerHTML = '';
+    document.getElementById('shares-empty-state').classList.toggle('hidden', shares.length > 0);
+    
+    shares
+        .slice()
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .forEach(share => {
+            const item = document.createElement('li');
+            item.className = 'py-3 flex items-center justify-between';
+            item.innerHTML = `
+                <div class="min-w-0 flex items-center">
+                    <i data-lucide="${share.itemType === 'folder' ? 'folder' : 'file'}" class="w-5 h-5 ${share.itemType === 'folder' ? 'text-yellow-500' : 'text-blue-500'} mr-2 flex-shrink-0"></i>
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-800 dark:text-gray-200 truncate"></p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400 truncate"></p>
+                    </div>
+                </div>
+                <div class="ml-4 flex-shrink-0 text-sm space-x-3">
+                    <button class="text-indigo-600 dark:text-indigo-400 hover:underline copy-link-btn">Copy link</button>
+                    <button class="text-red-600 dark:text-red-400 hover:underline revoke-btn">Revoke</button>
+                </div>
+            `;
+            const [name, meta] = item.querySelectorAll('p');
+            name.textContent = share.name || 'Deleted item';
+            name.title = `Created ${formatDate(share.createdAt)} by ${share.createdBy || 'Unknown device'}`;
+            meta.textContent = describeShareLimits(share);
+            
+            item.querySelector('.copy-link-btn').addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(shareUrl(share));
+                    showToast('Link copied', 'success');
+                } catch (error) {
+                    showToast('Could not copy to the clipboard', 'error');
+                }
+            });
+            item.querySelector('.revoke-btn').addEventListener('click', () => revokeShareLink(share));
+            list.appendChild(item);
+        });
+    
+    lucide.createIcons();
+}
+
+// Revoke a share link after confirming
+async function revokeShareLink(share) {
+    hideModal('shares-modal');
+    const confirmed = await askConfirmation({
+        title: 'Revoke this link?',
+        message: `Anyone using the link to "${share.name || 'this item'}" loses access immediately. This cannot be undone.`,
+        confirmLabel: 'Revoke'
+    });
+    showModal('shares-modal');
+    if (!confirmed) return;
+    
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: JSON.stringify({
+            action: 'revokeShare',
+            shareId: share.id,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to revoke share link', 'error');
+        return;
+    }
+    
+    renderShareList(result.data.shares);
+    showToast('Link revoked', 'success');
+}
+
+// Download a file, or one of its earlier versions
+async function downloadFile(fileId, version = null) {
+    const file = currentFiles.find(f => f.id === fileId);
+    if (!file) return;
+    
+    try {
+        showToast(`Downloading "${file.name}"`, 'info');
+        
+        const blob = await fetchFileBlob(file, version);
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = file.name;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        showToast(`Downloaded "${file.name}"`, 'success');
+    } catch (error) {
+        console.error('Download error:', error);
+        showToast(`Failed to download "${file.name}"`, 'error');
+    }
+}
+
+// Address of a file's content on the download endpoint
+function fileContentUrl(fileId, { version = null, part = null } = {}) {
+    const params = new URLSearchParams({ action: 'getFile', fileId });
+    if (version) params.set('versionId', version.id);
+    if (sharedFolder) params.set('ownerId', sharedFolder.ownerId);
+    if (part !== null) params.set('part', String(part));
+    return `/api/jsonbin?${params}`;
+}
+
+// Error message of a failed getFile response
+async function readFileError(response) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+        const data = await response.json();
+        return data.error || `Server error: ${response.status}`;
+    }
+    return `Server error: ${response.status}`;
+}
+
+// Fetch a file's (or an earlier version's) content as a Blob. Large files are
+// fetched one chunk at a time to stay under the response size limit.
+async function fetchFileBlob(file, version = null) {
+    const source = version || file;
+    const parts = [];
+    const chunkCount = source.chunkCount || 1;
+    for (let i = 0; i < chunkCount; i++) {
+        const response = await fetch(fileContentUrl(file.id, { version, part: chunkCount > 1 ? i : null }), {
+            credentials: 'same-origin'
+        });
+        if (!response.ok) {
+            throw new Error(await readFileError(response));
+        }
+        parts.push(await response.blob());
+    }
+    return new Blob(parts, { type: source.type || 'application/octet-stream' });
+}
+
+// Modal functions
+function showModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (!modal) return;
+    
+    modal.classList.remove('hidden');
+    setTimeout(() => {
+        modal.classList.remove('opacity-0');
+        const modalContent = modal.querySelector('div');
+        if (modalContent) {
+            modalContent.classList.remove('scale-95');
+        }
+    }, 10);
+}
+
+function hideModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (!modal) return;
+    
+    modal.classList.add('opacity-0');
+    const modalContent = modal.querySelector('div');
+    if (modalContent) {
+        modalContent.classList.add('scale-95');
+    }
+    setTimeout(() => {
+        modal.classList.add('hidden');
+    }, 300);
+}
+
+// Folders other storages shared with this one, as listed in the sidebar
+let sharedWithMe = [];
+
+async function loadSharedWithMe() {
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: JSON.stringify({
+            action: 'listSharedWithMe',
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (result.success) {
+        sharedWithMe = result.data.folders || [];
+        renderSharedWithMe();
+    }
+}
+
+// Render the "Shared with me" sidebar section, highlighting the open shared folder
+function renderSharedWithMe() {
+    const list = document.getElementById('shared-with-me-list');
+    list.innerHTML = '';
+    document.getElementById('shared-with-me-section').classList.toggle('hidden', sharedWithMe.length === 0);
+    
+    sharedWithMe.forEach(entry => {
+        const item = document.createElement('div');
+        const active = sharedFolder && sharedFolder.ownerId === entry.ownerId && sharedFolder.folderId === entry.folderId;
+        item.className = `folder-item p-2 rounded cursor-pointer flex items-center text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700${active ? ' tree-item-active' : ''}`;
+        item.innerHTML = `
+            <i data-lucide="folder-symlink" class="w-4 h-4 text-yellow-500 mr-2 flex-shrink-0"></i>
+            <span class="text-sm truncate"></span>
+        `;
+        item.querySelector('span').textContent = entry.name;
+        item.title = `Shared by ${entry.ownerId} (${entry.role})`;
+        item.addEventListener('click', () => openRoute(`#/shared/${encodeURIComponent(entry.ownerId)}/${encodeURIComponent(entry.folderId)}`));
+        list.appendChild(item);
+    });
+    
+    lucide.createIcons();
+}
+
+// Folder whose access dialog is open
+let accessFolderId = null;
+
+// Open the dialog listing who has access to a folder
+async function showAccessModal(folderId) {
+    const folder = currentFolders.find(f => f.id === folderId);
+    accessFolderId = folderId;
+    document.getElementById('access-title').textContent = `Access to "${folder ? folder.name : 'folder'}"`;
+    document.getElementById('grant-list').innerHTML = '';
+    document.getElementById('access-empty-state').classList.add('hidden');
+    document.getElementById('grant-form').reset();
+    showModal('access-modal');
+    
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action: 'listGrants',
+            folderId,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to load access list', 'error');
+        return;
+    }
+    
+    renderGrantList(result.data.grants);
+    document.getElementById('grant-storage-id').focus();
+}
+
+// Render grant rows with a role picker and a remove action
+function renderGrantList(grants) {
+    const list = document.getElementById('grant-list');
+    list.innerHTML = '';
+    document.getElementById('access-empty-state').classList.toggle('hidden', grants.length > 0);
+    
+    grants.forEach(grant => {
+        const item = document.createElement('li');
+        item.className = 'py-3 flex items-center justify-between';
+        item.innerHTML = `
+            <div class="min-w-0">
+                <p class="text-sm font-medium text-gray-800 dark:text-gray-200 truncate"></p>
+                <p class="text-xs text-gray-500 dark:text-gray-400 truncate"></p>
+            </div>
+            <div class="ml-4 flex-shrink-0 flex items-center space-x-3 text-sm">
+                <select class="grant-role-select px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200">
+                    <option value="viewer">Viewer</option>
+                    <option value="editor">Editor</option>
+                    <option value="owner">Owner</option>
+                </select>
+                <button class="text-red-600 dark:text-red-400 hover:underline remove-grant-btn">Remove</button>
+            </div>
+        `;
+        const [storageId, meta] = item.querySelectorAll('p');
+        storageId.textContent = grant.storageId;
+        meta.textContent = `Added ${timeAgo(grant.createdAt)} by ${grant.createdBy || 'Unknown device'}`;
+        
+        const roleSelect = item.querySelector('.grant-role-select');
+        roleSelect.value = grant.role;
+        roleSelect.addEventListener('change', () => saveGrant(grant.storageId, roleSelect.value));
+        item.querySelector('.remove-grant-btn').addEventListener('click', () => removeGrant(grant));
+        list.appendChild(item);
+    });
+}
+
+function addGrant() {
+    const storageId = document.getElementById('grant-storage-id').value.trim();
+    if (!storageId) {
+        showToast('Please enter a storage ID', 'error');
+        return;
+    }
+    saveGrant(storageId, document.getElementById('grant-role').value);
+}
+
+// Grant a storage ID a role on the open folder, or change the role it has
+async function saveGrant(storageId, role) {
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action: 'grantAccess',
+            folderId: accessFolderId,
+            data: { storageId, role },
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to update access', 'error');
+        return;
+    }
+    
+    document.getElementById('grant-form').reset();
+    renderGrantList(result.data.grants);
+    showToast(`${storageId} is now ${role === 'owner' ? 'an owner' : `a ${role}`}`, 'success');
+}
+
+// Take a storage ID's access away after confirming
+async function removeGrant(grant) {
+    hideModal('access-modal');
+    const confirmed = await askConfirmation({
+        title: 'Remove access?',
+        message: `${grant.storageId} will no longer see this folder.`,
+        confirmLabel: 'Remove'
+    });
+    showModal('access-modal');
+    if (!confirmed) return;
+    
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action: 'revokeAccess',
+            grantId: grant.id,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (!result.success) {
+        showToast(result.error || 'Failed to remove access', 'error');
+        return;
+    }
+    
+    renderGrantList(result.data.grants);
+    showToast('Access removed', 'success');
+}
+
+// Number of the latest search, so answers to earlier ones are ignored
+let searchRequest = 0;
+
+// Search options from the search box and filters, or null when there is nothing to search for
+function readSearchOptions() {
+    const query = document.getElementById('search-input').value.trim();
+    const megabytes = (id) => {
+        const value = document.getElementById(id).value;
+        return value === '' ? undefined : Math.round(Number(value) * 1024 * 1024);
+    };
+    const after = document.getElementById('search-after').value;
+    const before = document.getElementById('search-before').value;
+    
+    const options = {
+        query,
+        type: document.getElementById('search-type').value || undefined,
+        minSize: megabytes('search-min-size'),
+        maxSize: megabytes('search-max-size'),
+        // Dates are whole local days
+        modifiedAfter: after ? new Date(`${after}T00:00:00`).toISOString() : undefined,
+        modifiedBefore: before ? new Date(`${before}T23:59:59.999`).toISOString() : undefined,
+        folderId: document.getElementById('search-this-folder').checked ? currentFolderId : undefined,
+        content: document.getElementById('search-content').checked
+    };
+    
+    const filtered = options.type || options.minSize !== undefined || options.maxSize !== undefined ||
+        options.modifiedAfter || options.modifiedBefore || options.folderId;
+    if (!query && !filtered) {
+        return null;
+    }
+    
+    // In a shared folder the search stays inside it
+    if (!options.folderId && sharedFolder) {
+        options.folderId = sharedFolder.folderId;
+    }
+    return options;
+}
+
+function showSearchStatus(message) {
+    document.getElementById('search-status').textContent = message;
+    document.getElementById('search-panel').classList.remove('hidden');
+}
+
+async function runSearch() {
+    const options = readSearchOptions();
+    const requestNumber = ++searchRequest;
+    
+    if (!options) {
+        document.getElementById('search-results').innerHTML = '';
+        if (document.getElementById('search-filters').classList.contains('hidden')) {
+            document.getElementById('search-panel').classList.add('hidden');
+        } else {
+            document.getElementById('search-status').textContent = 'Type to search, or choose a filter.';
+        }
+        return;
+    }
+    
+    showSearchStatus('Searching...');
+    const result = await apiFetch('/api/jsonbin', {
+        method: 'POST',
+        body: storageBody({
+            action: 'search',
+            data: options,
+            deviceFingerprint: getDeviceFingerprint()
+        })
+    });
+    
+    if (requestNumber !== searchRequest) return;
+    
+    if (!result.success) {
+        document.getElementById('search-results').innerHTML = '';
+        showSearchStatus(result.error || 'Search failed');
+        return;
+    }
+    
+    renderSearchResults(result.data);
+}
+
+// Render search hits, each with a link to the folder it is in
+function renderSearchResults({ results, total, truncated, unindexed }) {
+    const parts = [total === 0 ? 'No results' : `${total} result${total !== 1 ? 's' : ''}`];
+    if (truncated) parts.push(`showing the first ${results.length}`);
+    if (unindexed > 0) parts.push('some text files are still being indexed, search again for more');
+    showSearchStatus(parts.join(' · '));
+    
+    const list = document.getElementById('search-results');
+    list.innerHTML = '';
+    results.forEach(hit => {
+        const item = document.createElement('li');
+        item.className = 'px-4 py-2 flex items-center justify-between hover:bg-gray-50 dark:hover:bg-gray-700';
+        item.innerHTML = `
+            <div class="min-w-0 flex items-center">
+                <i data-lucide="${hit.itemType === 'folder' ? 'folder' : getFileIcon(hit.name)}" class="w-5 h-5 ${hit.itemType === 'folder' ? 'text-yellow-500' : 'text-blue-500'} mr-2 flex-shrink-0"></i>
+                <div class="min-w-0">
+                    <p class="text-sm font-medium text-gray-800 dark:text-gray-200 truncate"></p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400 truncate"></p>
+                </div>
+            </div>
+            <button class="ml-4 flex-shrink-0 text-sm text-indigo-600 dark:text-indigo-400 hover:underline show-in-folder-btn">Show in folder</button>
+        `;
+        const [name, meta] = item.querySelectorAll('p');
+        name.textContent = hit.name;
+        const details = [hit.path];
+        if (hit.itemType === 'file') details.push(formatFileSize(hit.size));
+        if (hit.modified) details.push(formatDate(hit.modified));
+        if (!hit.matches.includes('name')) details.push('matches content');
+        meta.textContent = details.join(' · ');
+        
+        item.querySelector('.show-in-folder-btn').addEventListener('click', () => showSearchResult(hit));
+        list.appendChild(item);
+    });
+    
+    lucide.createIcons();
+}
+
+// Open the folder a search hit is in and point out the item
+function showSearchResult(hit) {
+    document.getElementById('search-panel').classList.add('hidden');
+    navigateToFolder(hit.folderId);
+    
+    const itemId = CSS.escape(hit.id);
+    const row = document.querySelector(`#file-list [data-item-id="${itemId}"], #file-grid [data-item-id="${itemId}"]`);
+    if (row) {
+        row.scrollIntoView({ block: 'center' });
+        row.classList.add('search-highlight');
+        setTimeout(() => row.classList.remove('search-highlight'), 2000);
+    }
+}
+
+// File preview
+//
+// Images and PDFs are fetched like a download and shown from a blob URL; audio
+// and video stream straight from the download endpoint, which answers the
+// players' Range requests. Text only fetches its first PREVIEW_TEXT_BYTES.
+
+const PREVIEW_TEXT_BYTES = 512 * 1024;
+const PREVIEW_CSV_ROWS = 500;
+
+// Extensions shown as text, with the highlight.js language of each (the code and text types getFileIcon knows)
+const PREVIEW_CODE_LANGUAGES = {
+    txt: 'plaintext', js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript',
+    html: 'xml', htm: 'xml', css: 'css', scss: 'scss', php: 'php', py: 'python', java: 'java',
+    c: 'c', cpp: 'cpp', cs: 'csharp', go: 'go', rb: 'ruby', json: 'json', xml: 'xml'
+};
+
+// File being previewed, the blob URL it is shown from and the image zoom (null fits the panel)
+let previewFile = null;
+let previewObjectUrl = null;
+let previewZoom = null;
+
+// How a file is previewed: image, pdf, audio, video, markdown, csv, code, or info (metadata only)
+function previewKind(file) {
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    const type = file.type || '';
+    
+    if (type.startsWith('image/') || getFileIcon(file.name) === 'image') return 'image';
+    if (type === 'application/pdf') return 'pdf';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type.startsWith('video/')) return 'video';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+    if (extension === 'csv') return 'csv';
+    if (PREVIEW_CODE_LANGUAGES[extension] || type.startsWith('text/')) return 'code';
+    return 'info';
+}
+
+async function showPreview(fileId) {
+    const file = currentFiles.find(f => f.id === fileId);
+    if (!file) return;
+    
+    resetPreview();
+    previewFile = file;
+    previewZoom = null;
+    
+    const kind = previewKind(file);
+    document.getElementById('preview-icon').setAttribute('data-lucide', getFileIcon(file.name));
+    document.getElementById('preview-name').textContent = file.name;
+    document.getElementById('preview-meta').textContent = `${formatFileSize(file.size)} · ${formatDate(file.modified)}`;
+    document.getElementById('preview-zoom').classList.toggle('hidden', kind !== 'image');
+    
+    const body = document.getElementById('preview-body');
+    body.innerHTML = '<div class="flex justify-center py-16"><div class="spinner w-8 h-8"></div></div>';
+    showModal('preview-modal');
+    lucide.createIcons();
+    
+    try {
+        if (kind === 'image' || kind === 'pdf') {
+            const blob = await fetchFileBlob(file);
+            if (previewFile !== file) return;
+            previewObjectUrl = URL.createObjectURL(blob);
+            renderMediaPreview(body, kind, previewObjectUrl);
+        } else if (kind === 'audio' || kind === 'video') {
+            renderMediaPreview(body, kind, fileContentUrl(file.id));
+        } else if (kind === 'info') {
+            renderFileDetails(body, file, 'There is no preview for this type of file.');
+        } else {
+            const { text, truncated } = await fetchPreviewText(file);
+            if (previewFile !== file) return;
+            renderTextPreview(body, kind, file, text, truncated);
+        }
+    } catch (error) {
+        console.error('Preview error:', error);
+        if (previewFile === file) {
+            renderFileDetails(body, file, error.message || 'The preview could not be loaded.');
+        }
+    }
+}
+
+function closePreview() {
+    hideModal('preview-modal');
+    resetPreview();
+}
+
+function resetPreview() {
+    // Emptying the panel also stops audio and video
+    document.getElementById('preview-body').innerHTML = '';
+    if (previewObjectUrl) {
+        URL.revokeObjectURL(previewObjectUrl);
+        previewObjectUrl = null;
+    }
+    previewFile = null;
+}
+
+function renderMediaPreview(body, kind, url) {
+    body.innerHTML = '';
+    let element;
+    if (kind === 'image') {
+        element = document.createElement('img');
+        element.id = 'preview-image';
+        element.alt = previewFile.name;
+        element.className = 'mx-auto cursor-zoom-in';
+        // Clicking switches between fitting the panel and the image's own size
+        element.addEventListener('click', () => zoomPreviewImage(previewZoom === null ? 1 : null));
+    } else if (kind === 'pdf') {
+        element = document.createElement('iframe');
+        element.title = previewFile.name;
+        element.className = 'w-full h-[75vh] rounded border-0 bg-white';
+    } else {
+        element = document.createElement(kind);
+        element.controls = true;
+        element.preload = 'metadata';
+        element.className = kind === 'video' ? 'w-full max-h-[75vh] bg-black rounded' : 'w-full';
+    }
+    element.src = url;
+    body.appendChild(element);
+    if (kind === 'image') {
+        zoomPreviewImage(null);
+    }
+}
+
+// Zoom the previewed image by a factor, or fit it to the panel with null
+function zoomPreviewImage(factor) {
+    const image = document.getElementById('preview-image');
+    if (!image) return;
+    
+    if (factor === null) {
+        previewZoom = null;
+    } else {
+        previewZoom = Math.min(8, Math.max(0.1, (previewZoom || fittedZoom(image)) * factor));
+    }
+    
+    const fit = previewZoom === null;
+    image.classList.toggle('max-w-full', fit);
+    image.classList.toggle('max-h-[70vh]', fit);
+    image.classList.toggle('cursor-zoom-in', fit);
+    image.classList.toggle('cursor-zoom-out', !fit);
+    image.style.maxWidth = fit ? '' : 'none';
+    image.style.width = fit ? '' : `${Math.round(image.naturalWidth * previewZoom)}px`;
+    document.getElementById('preview-zoom-level').textContent = fit ? 'Fit' : `${Math.round(previewZoom * 100)}%`;
+}
+
+// Zoom at which a fitted image is currently shown, for zooming on from there
+function fittedZoom(image) {
+    return image.naturalWidth ? image.clientWidth / image.naturalWidth : 1;
+}
+
+// Fetch the start of a text file
+async function fetchPreviewText(file) {
+    if (!file.size) {
+        return { text: '', truncated: false };
+    }
+    
+    const response = await fetch(fileContentUrl(file.id), {
+        credentials: 'same-origin',
+        headers: { Range: `bytes=0-${PREVIEW_TEXT_BYTES - 1}` }
+    });
+    if (!response.ok) {
+        throw new Error(await readFileError(response));
+    }
+    
+    const buffer = await response.arrayBuffer();
+    return {
+        text: new TextDecoder().decode(buffer.slice(0, PREVIEW_TEXT_BYTES)),
+        truncated: file.size > Math.min(buffer.byteLength, PREVIEW_TEXT_BYTES)
+    };
+}
+
+function renderTextPreview(body, kind, file, text, truncated) {
+    body.innerHTML = '';
+    if (truncated) {
+        const note = document.createElement('p');
+        note.className = 'text-xs text-gray-500 dark:text-gray-400 mb-2';
+        note.textContent = `Showing the first ${formatFileSize(PREVIEW_TEXT_BYTES)}. Download the file to see all of it.`;
+        body.appendChild(note);
+    }
+    
+    if (kind === 'markdown' && window.marked && window.DOMPurify) {
+        // Rendered Markdown is sanitized, as the file may contain any HTML
+        const article = document.createElement('article');
+        article.className = 'preview-markdown text-gray-800 dark:text-gray-200';
+        article.innerHTML = DOMPurify.sanitize(marked.parse(text));
+        article.querySelectorAll('a').forEach(link => {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+        body.appendChild(article);
+        return;
+    }
+    
+    if (kind === 'csv') {
+        body.appendChild(renderCsvTable(parseCsv(text), truncated));
+        return;
+    }
+    
+    const extension = file.name.split('.').pop().toLowerCase();
+    const language = kind === 'markdown' ? 'markdown' : PREVIEW_CODE_LANGUAGES[extension];
+    const pre = document.createElement('pre');
+    pre.className = 'text-sm rounded-lg overflow-auto max-h-[70vh]';
+    const code = document.createElement('code');
+    code.className = 'hljs block p-4';
+    if (window.hljs && language && language !== 'plaintext' && hljs.getLanguage(language)) {
+        // highlight.js escapes the text itself
+        code.innerHTML = hljs.highlight(text, { language, ignoreIllegals: true }).value;
+    } else {
+        code.textContent = text;
+    }
+    pre.appendChild(code);
+    body.appendChild(pre);
+}
+
+// Split CSV text into rows of fields; quoted fields may hold commas, quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Table of CSV rows, the first one as header
+function renderCsvTable(rows, truncated) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'overflow-auto max-h-[70vh] border border-gray-200 dark:border-gray-700 rounded-lg';
+    const table = document.createElement('table');
+    table.className = 'min-w-full text-sm text-left text-gray-700 dark:text-gray-300';
+    
+    rows.slice(0, PREVIEW_CSV_ROWS + 1).forEach((fields, index) => {
+        const tr = document.createElement('tr');
+        tr.className = index === 0 ? 'bg-gray-50 dark:bg-gray-700 font-medium sticky top-0' : 'border-t border-gray-200 dark:border-gray-700';
+        fields.forEach(value => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            cell.className = 'px-3 py-1 whitespace-nowrap';
+            cell.textContent = value;
+            tr.appendChild(cell);
+        });
+        table.appendChild(tr);
+    });
+    wrapper.appendChild(table);
+    
+    if (rows.length > PREVIEW_CSV_ROWS + 1 || truncated) {
+        const note = document.createElement('p');
+        note.className = 'px-3 py-2 text-xs text-gray-500 dark:text-gray-400';
+        note.textContent = `Showing the first ${Math.min(rows.length - 1, PREVIEW_CSV_ROWS)} rows.`;
+        wrapper.appendChild(note);
+    }
+    return wrapper;
+}
+
+// Metadata view for files without a preview (or whose preview failed)
+function renderFileDetails(body, file, message) {
+    const folderPath = getFolderPath(file.folderId || 'root').map(item => item.name).join('/');
+    const details = [
+        ['Type', file.type || 'Unknown'],
+        ['Size', formatFileSize(file.size)],
+        ['Folder', `${homeFolderName()}${folderPath ? `/${folderPath}` : ''}`],
+        ['Modified', formatDate(file.modified)],
+        ['Created', formatDate(file.created)],
+        ['Changed by', file.author || 'Unknown'],
+        ['Versions', String(file.versionCount || 1)],
+        ['SHA-256', file.sha256 || '—']
+    ];
+    
+    body.innerHTML = `
+        <div class="text-center py-6">
+            <i data-lucide="${getFileIcon(file.name)}" class="w-12 h-12 mx-auto text-gray-400"></i>
+            <p class="mt-3 text-sm text-gray-600 dark:text-gray-300"></p>
+        </div>
+        <dl class="grid grid-cols-3 gap-x-4 gap-y-2 text-sm max-w-lg mx-auto"></dl>
+    `;
+    body.querySelector('p').textContent = message;
+    const list = body.querySelector('dl');
+    details.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.className = 'text-gray-500 dark:text-gray-400';
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.className = 'col-span-2 text-gray-800 dark:text-gray-200 break-all';
+        description.textContent = value;
+        list.append(term, description);
+    });
+    lucide.createIcons();
+}
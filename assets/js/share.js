@@ -0,0 +1,164 @@
+import { showToast, formatFileSize, formatDate, getFileIcon } from './utils.js';
+
+// Public page for share links (/s/<token>); works without being signed in
+
+// The token is the last path segment of the link
+const shareToken = decodeURIComponent(location.pathname.split('/').filter(Boolean).pop() || '');
+
+// Password of a protected link, once the visitor entered the right one
+let sharePassword = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Follow the theme chosen in the app
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const savedTheme = localStorage.getItem('theme');
+    document.documentElement.classList.toggle('dark', savedTheme === 'dark' || (!savedTheme && prefersDark));
+
+    document.getElementById('share-password-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        sharePassword = document.getElementById('share-password').value;
+        await loadShare();
+    });
+
+    lucide.createIcons();
+    loadShare();
+});
+
+// Call the public share endpoint; the password and download ticket travel as headers
+function shareRequest(params, ticket = null) {
+    const headers = {};
+    if (sharePassword) headers['X-Share-Password'] = sharePassword;
+    if (ticket) headers['X-Share-Ticket'] = ticket;
+
+    const query = new URLSearchParams({ token: shareToken, ...params });
+    return fetch(`/api/share?${query}`, { headers, credentials: 'omit' });
+}
+
+// Error message from a failed response
+async function readError(response) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+        return response.json();
+    }
+    return { error: `Server error: ${response.status}` };
+}
+
+// Show exactly one of the page's states
+function showState(id) {
+    ['share-loading', 'share-error', 'share-password-form', 'share-content'].forEach(stateId => {
+        document.getElementById(stateId).classList.toggle('hidden', stateId !== id);
+    });
+}
+
+async function loadShare() {
+    if (!shareToken) {
+        showError('This link is incomplete.');
+        return;
+    }
+
+    try {
+        const response = await shareRequest({ action: 'info' });
+        if (!response.ok) {
+            const data = await readError(response);
+            if (data.passwordRequired) {
+                const wrongPassword = Boolean(sharePassword);
+                sharePassword = null;
+                showState('share-password-form');
+                if (wrongPassword) showToast(data.error || 'Wrong password', 'error');
+                document.getElementById('share-password').focus();
+                return;
+            }
+            showError(data.error || 'This link cannot be opened.');
+            return;
+        }
+
+        renderShare(await response.json());
+    } catch (error) {
+        console.error('Share load error:', error);
+        showError('Network error. Please check your connection.');
+    }
+}
+
+function showError(message) {
+    document.getElementById('share-error-message').textContent = message;
+    showState('share-error');
+    lucide.createIcons();
+}
+
+function renderShare(info) {
+    document.title = `${info.name} - CloudStorage Enchanted++`;
+    document.getElementById('share-name').textContent = info.name;
+    document.getElementById('share-icon').setAttribute('data-lucide', info.itemType === 'folder' ? 'folder' : getFileIcon(info.name));
+
+    const details = [`${info.files.length} file${info.files.length !== 1 ? 's' : ''}`];
+    if (info.expiresAt) details.push(`available until ${formatDate(info.expiresAt)}`);
+    if (info.downloadsLeft !== null) details.push(`${info.downloadsLeft} download${info.downloadsLeft !== 1 ? 's' : ''} left`);
+    document.getElementById('share-details').textContent = details.join(' · ');
+
+    const list = document.getElementById('share-files');
+    list.innerHTML = '';
+    info.files.forEach(file => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between py-3';
+        item.innerHTML = `
+            <div class="flex items-center min-w-0">
+                <i data-lucide="${getFileIcon(file.name)}" class="w-5 h-5 text-blue-500 mr-2 flex-shrink-0"></i>
+                <div class="min-w-0">
+                    <p class="file-name text-sm font-medium text-gray-900 dark:text-gray-100 truncate"></p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400"><span class="file-path"></span>${formatFileSize(file.size)}</p>
+                </div>
+            </div>
+            <button class="download-btn ml-4 px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 flex items-center">
+                <i data-lucide="download" class="w-4 h-4 mr-1"></i> Download
+            </button>
+        `;
+        item.querySelector('.file-name').textContent = file.name;
+        item.querySelector('.file-path').textContent = file.path ? `${file.path} · ` : '';
+        item.querySelector('.download-btn').addEventListener('click', () => downloadSharedFile(file));
+        list.appendChild(item);
+    });
+
+    showState('share-content');
+    lucide.createIcons();
+}
+
+// Fetch a shared file part by part; the first response carries the ticket for the rest
+async function downloadSharedFile(file) {
+    try {
+        showToast(`Downloading "${file.name}"`, 'info');
+
+        const parts = [];
+        let ticket = null;
+        for (let i = 0; i < file.chunkCount; i++) {
+            const params = { action: 'download', fileId: file.id };
+            if (file.chunkCount > 1) params.part = String(i);
+
+            const response = await shareRequest(params, ticket);
+            if (!response.ok) {
+                const data = await readError(response);
+                throw new Error(data.error || `Server error: ${response.status}`);
+            }
+
+            ticket = ticket || response.headers.get('X-Share-Ticket');
+            parts.push(await response.blob());
+        }
+
+        const blob = new Blob(parts, { type: file.type || 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = file.name;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showToast(`Downloaded "${file.name}"`, 'success');
+    } catch (error) {
+        console.error('Download error:', error);
+        showToast(error.message || `Failed to download "${file.name}"`, 'error');
+    }
+
+    // Refresh the remaining download count (or show that the link is used up)
+    await loadShare();
+}
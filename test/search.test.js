@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { prepareSearch, runSearch, buildSearchEntries } from '../api/_lib/search.js';
+
+// Run with `node --test test/`
+
+function sampleTree(names) {
+  return {
+    folders: [
+      { id: 'root', name: 'Home', parentId: null, children: [] },
+      ...names.folders.map((name, index) => ({ id: `folder-${index}`, name, parentId: 'root', children: [] }))
+    ],
+    files: names.files.map((name, index) => ({ id: `file-${index}`, name, folderId: 'root', size: 1, type: 'application/octet-stream' })),
+    trash: []
+  };
+}
+
+function searchNames(tree, query) {
+  const index = { entries: buildSearchEntries(tree), text: {} };
+  return runSearch(tree, index, prepareSearch({ query })).results.map(result => result.name);
+}
+
+test('glob queries match whole names', () => {
+  const tree = sampleTree({ folders: ['Reports'], files: ['report-2024.pdf', 'report-2024.pdf.bak', 'img_0001.jpg', 'img_01.jpg', 'Résumé.md'] });
+
+  assert.deepEqual(searchNames(tree, 'report-*.pdf'), ['report-2024.pdf']);
+  assert.deepEqual(searchNames(tree, 'img_????.jpg'), ['img_0001.jpg']);
+  assert.deepEqual(searchNames(tree, 'RES*'), ['Résumé.md']);
+  assert.deepEqual(searchNames(tree, '*e*o*'), ['report-2024.pdf', 'report-2024.pdf.bak', 'Reports']);
+  assert.deepEqual(searchNames(tree, '**.jpg'), ['img_0001.jpg', 'img_01.jpg']);
+  assert.deepEqual(searchNames(tree, '*.txt'), []);
+});
+
+test('glob queries with many wildcards finish quickly', () => {
+  const tree = sampleTree({ folders: ['a'.repeat(40)], files: ['a'.repeat(200)] });
+
+  const started = process.hrtime.bigint();
+  assert.deepEqual(searchNames(tree, '*a*a*a*a*a*a*a*a*a*a*b'), []);
+  assert.deepEqual(searchNames(tree, `${'*a'.repeat(99)}*b`), []);
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  assert.ok(elapsedMs < 500, `search took ${elapsedMs.toFixed(1)}ms`);
+});
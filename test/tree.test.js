@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTreeUpdate } from '../api/_lib/tree.js';
+import { HttpError } from '../api/_lib/errors.js';
+
+// Run with `node --test test/`
+
+function sampleTree() {
+  return {
+    folders: [
+      { id: 'root', name: 'Home', parentId: null, children: [] },
+      { id: 'docs', name: 'docs', parentId: 'root', children: [] }
+    ],
+    files: [
+      { id: 'a', name: 'a.txt', folderId: 'docs', contentId: 'c1', chunkCount: 1, size: 1 },
+      { id: 'b', name: 'b.txt', folderId: 'root', contentId: 'c2', chunkCount: 1, size: 1 }
+    ],
+    trash: []
+  };
+}
+
+test('applyTreeUpdate changes metadata of existing items', () => {
+  const tree = sampleTree();
+  const next = applyTreeUpdate(tree, {
+    folders: tree.folders,
+    files: [{ ...tree.files[0], name: 'renamed.txt' }, { ...tree.files[1], folderId: 'docs' }]
+  });
+
+  assert.equal(next.files[0].name, 'renamed.txt');
+  assert.equal(next.files[0].contentId, 'c1');
+  assert.equal(next.files[1].folderId, 'docs');
+});
+
+test('applyTreeUpdate refuses an update that leaves out a file', () => {
+  const tree = sampleTree();
+  assert.throws(
+    () => applyTreeUpdate(tree, { folders: tree.folders, files: [tree.files[0]] }),
+    error => error instanceof HttpError && error.status === 400
+  );
+  assert.throws(
+    () => applyTreeUpdate(tree, { folders: tree.folders, files: [] }),
+    error => error instanceof HttpError && error.status === 400
+  );
+});
+
+test('applyTreeUpdate refuses an update that leaves out a folder', () => {
+  const tree = sampleTree();
+  const files = tree.files.map(file => ({ ...file, folderId: 'root' }));
+  assert.throws(
+    () => applyTreeUpdate(tree, { folders: [tree.folders[0]], files }),
+    error => error instanceof HttpError && error.status === 400
+  );
+});